@@ -0,0 +1,71 @@
+import * as typebox from "@sinclair/typebox";
+
+export declare class SchemaBuilder {
+  /**
+   * Creates an schema for a Limited type.
+   */
+  Limited(options: typebox.NumberOptions, limit?: number): Fluent<typebox.TNumber, true>;
+  /**
+   * Creates an schema for a Number type.
+   */
+  Number(options?: typebox.NumberOptions): Fluent<typebox.TNumber, true>;
+  /**
+   * Creates an schema for a Object type.
+   */
+  Object<T extends typebox.TProperties>(
+    properties: T,
+    options?: typebox.ObjectOptions,
+  ): Fluent<typebox.TObject<T>, true>;
+  /**
+   * Creates an schema for a String type.
+   */
+  String(options?: typebox.StringOptions): Fluent<typebox.TString, true>;
+}
+
+export declare const Type: SchemaBuilder;
+
+/**
+ * A schema with chainable modifiers. Every modifier returns a new fluent schema, and
+ * `unwrap()` returns the plain TypeBox schema.
+ */
+export type Fluent<T extends typebox.TSchema, L extends boolean = false> = T &
+  Modifiers<T, L> &
+  (L extends true ? Limits<T> : {});
+
+export interface Modifiers<T extends typebox.TSchema, L extends boolean> {
+  /**
+   * Makes the schema optional, as `typebox.Type.Optional` does.
+   */
+  optional(): Fluent<typebox.TOptional<T>, L>;
+  /**
+   * Makes the schema readonly, as `typebox.Type.Readonly` does.
+   */
+  readonly(): Fluent<typebox.TReadonly<T>, L>;
+  /**
+   * Makes the schema accept `null` too.
+   */
+  nullable(): Fluent<typebox.TUnion<[T, typebox.TNull]>>;
+  /**
+   * Sets the description of the schema.
+   */
+  describe(description: string): Fluent<T, L>;
+  /**
+   * Sets the default value of the schema.
+   */
+  default(value: typebox.Static<T>): Fluent<T, L>;
+  /**
+   * Gets the plain TypeBox schema, without the modifiers.
+   */
+  unwrap(): T;
+}
+
+export interface Limits<T extends typebox.TSchema> {
+  /**
+   * Sets the lower limit of the schema, like `minLength` for strings.
+   */
+  min(value: number): Fluent<T, true>;
+  /**
+   * Sets the upper limit of the schema, like `maxLength` for strings.
+   */
+  max(value: number): Fluent<T, true>;
+}
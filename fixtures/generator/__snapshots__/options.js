@@ -0,0 +1,209 @@
+import * as typebox from "@sinclair/typebox";
+
+/**
+ * Modifiers shared by every fluent schema. They live in the prototype, so a fluent schema
+ * only owns its TypeBox properties and is cloned as a plain schema when it's nested in
+ * another one.
+ *
+ * @type {Record<string, (this: any, ...args: any[]) => any>}
+ */
+const Modifiers = {
+  /**
+   * Makes the schema optional, as `typebox.Type.Optional` does.
+   */
+  optional() {
+    return fluent(typebox.Type.Optional(this), this.limits);
+  },
+  /**
+   * Makes the schema readonly, as `typebox.Type.Readonly` does.
+   */
+  readonly() {
+    return fluent(typebox.Type.Readonly(this), this.limits);
+  },
+  /**
+   * Makes the schema accept `null` too.
+   */
+  nullable() {
+    return fluent(typebox.Type.Union([this, typebox.Type.Null()]));
+  },
+  /**
+   * Sets the description of the schema.
+   *
+   * @param {string} description
+   */
+  describe(description) {
+    return fluent(typebox.CloneType(this, { description }), this.limits);
+  },
+  /**
+   * Sets the default value of the schema.
+   *
+   * @param {unknown} value
+   */
+  default(value) {
+    return fluent(typebox.CloneType(this, { default: value }), this.limits);
+  },
+  /**
+   * Sets the lower limit of the schema, when its options have one.
+   *
+   * @param {number} value
+   */
+  min(value) {
+    return fluent(typebox.CloneType(this, { [this.limits[0]]: value }), this.limits);
+  },
+  /**
+   * Sets the upper limit of the schema, when its options have one.
+   *
+   * @param {number} value
+   */
+  max(value) {
+    return fluent(typebox.CloneType(this, { [this.limits[1]]: value }), this.limits);
+  },
+  /**
+   * Gets the plain TypeBox schema, without the modifiers.
+   */
+  unwrap() {
+    return typebox.CloneType(this);
+  },
+};
+
+/**
+ * Prototypes of the fluent schemas, by the keywords their limits set. Their members are
+ * not enumerable, so they never show up among the keywords of a schema.
+ *
+ * @type {Map<string, object>}
+ */
+const prototypes = new Map();
+
+/**
+ * Turns the given value into a fluent schema, when it's a schema.
+ *
+ * @param {any}              value    - The value created by TypeBox.
+ * @param {[string, string]} [limits] - The keywords set by `.min()` and `.max()`.
+ * @returns {any}
+ */
+function fluent(value, limits) {
+  if (typeof value !== "object" || value === null || !(typebox.Kind in value)) {
+    return value;
+  }
+
+  const key = limits ? limits.join() : "";
+  let prototype = prototypes.get(key);
+
+  if (prototype === undefined) {
+    const { min, max, ...modifiers } = Modifiers;
+    const members = limits ? { ...modifiers, min, max, limits } : modifiers;
+    const descriptors = Object.entries(members).map(([name, member]) => {
+      return [name, { value: member }];
+    });
+
+    prototype = Object.defineProperties({}, Object.fromEntries(descriptors));
+    prototypes.set(key, prototype);
+  }
+
+  return Object.setPrototypeOf(value, prototype);
+}
+
+export class SchemaBuilder {
+  /**
+   * Creates an schema for a Limited type.
+   *
+   * @overload
+   * @param {typebox.NumberOptions} options
+   * @param {number} [limit]
+   * @returns {Fluent<typebox.TNumber, true>}
+   */
+  /**
+   * Creates an schema for a Limited type.
+   *
+   * @param {any} options
+   * @param {any} [limit]
+   * @returns {any}
+   */
+  Limited(options, limit) {
+    return fluent(typebox.Type.Limited(options, limit), ["minimum", "maximum"]);
+  }
+  /**
+   * Creates an schema for a Number type.
+   *
+   * @overload
+   * @param {typebox.NumberOptions} [options]
+   * @returns {Fluent<typebox.TNumber, true>}
+   */
+  /**
+   * Creates an schema for a Number type.
+   *
+   * @param {any} [options]
+   * @returns {any}
+   */
+  Number(options) {
+    return fluent(typebox.Type.Number(options), ["minimum", "maximum"]);
+  }
+  /**
+   * Creates an schema for a Object type.
+   *
+   * @template {typebox.TProperties} T
+   * @overload
+   * @param {T} properties
+   * @param {typebox.ObjectOptions} [options]
+   * @returns {Fluent<typebox.TObject<T>, true>}
+   */
+  /**
+   * Creates an schema for a Object type.
+   *
+   * @param {any} properties
+   * @param {any} [options]
+   * @returns {any}
+   */
+  Object(properties, options) {
+    return fluent(typebox.Type.Object(properties, options), [
+      "minProperties",
+      "maxProperties",
+    ]);
+  }
+  /**
+   * Creates an schema for a String type.
+   *
+   * @overload
+   * @param {typebox.StringOptions} [options]
+   * @returns {Fluent<typebox.TString, true>}
+   */
+  /**
+   * Creates an schema for a String type.
+   *
+   * @param {any} [options]
+   * @returns {any}
+   */
+  String(options) {
+    return fluent(typebox.Type.String(options), ["minLength", "maxLength"]);
+  }
+}
+
+export const Type = new SchemaBuilder();
+
+/**
+ * A schema with chainable modifiers. Every modifier returns a new fluent schema, and
+ * `unwrap()` returns the plain TypeBox schema.
+ *
+ * @template {typebox.TSchema} T
+ * @template {boolean} [L=false]
+ * @typedef {T & Modifiers<T, L> & (L extends true ? Limits<T> : {})} Fluent
+ */
+
+/**
+ * @template {typebox.TSchema} T
+ * @template {boolean} L
+ * @typedef {Object} Modifiers
+ * @property {() => Fluent<typebox.TOptional<T>, L>} optional
+ * @property {() => Fluent<typebox.TReadonly<T>, L>} readonly
+ * @property {() => Fluent<typebox.TUnion<[T, typebox.TNull]>>} nullable
+ * @property {(description: string) => Fluent<T, L>} describe
+ * @property {(value: typebox.Static<T>) => Fluent<T, L>} default
+ * @property {() => T} unwrap
+ */
+
+/**
+ * @template {typebox.TSchema} T
+ * @typedef {Object} Limits
+ * @property {(value: number) => Fluent<T, true>} min
+ * @property {(value: number) => Fluent<T, true>} max
+ */
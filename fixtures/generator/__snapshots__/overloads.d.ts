@@ -0,0 +1,90 @@
+import * as typebox from "@sinclair/typebox";
+
+export declare class SchemaBuilder {
+  /**
+   * Creates an schema for a Named type.
+   */
+  Named(name: string): Fluent<typebox.TString>;
+  /**
+   * Creates an schema for a Named type.
+   */
+  Named(schema: typebox.TSchema, name: string): Fluent<typebox.TString>;
+  /**
+   * Creates an schema for a Pair type.
+   */
+  Pair(left: typebox.TSchema): Fluent<typebox.TSchema>;
+  /**
+   * Creates an schema for a Pair type.
+   */
+  Pair(
+    left: typebox.TSchema,
+    right: typebox.TSchema,
+    options?: typebox.SchemaOptions,
+  ): Fluent<typebox.TSchema>;
+  /**
+   * Creates an schema for a Pattern type.
+   */
+  Pattern(arg0: RegExp, options?: typebox.SchemaOptions): Fluent<typebox.TString>;
+  /**
+   * Creates an schema for a Ref type.
+   */
+  Ref<T extends typebox.TSchema>(
+    schema: T,
+    options?: typebox.SchemaOptions,
+  ): Fluent<typebox.TRef<T>>;
+  /**
+   * Creates an schema for a Ref type.
+   */
+  Ref<T extends typebox.TSchema>(
+    $ref: string,
+    options?: typebox.SchemaOptions,
+  ): Fluent<typebox.TRef<T>>;
+}
+
+export declare const Type: SchemaBuilder;
+
+/**
+ * A schema with chainable modifiers. Every modifier returns a new fluent schema, and
+ * `unwrap()` returns the plain TypeBox schema.
+ */
+export type Fluent<T extends typebox.TSchema, L extends boolean = false> = T &
+  Modifiers<T, L> &
+  (L extends true ? Limits<T> : {});
+
+export interface Modifiers<T extends typebox.TSchema, L extends boolean> {
+  /**
+   * Makes the schema optional, as `typebox.Type.Optional` does.
+   */
+  optional(): Fluent<typebox.TOptional<T>, L>;
+  /**
+   * Makes the schema readonly, as `typebox.Type.Readonly` does.
+   */
+  readonly(): Fluent<typebox.TReadonly<T>, L>;
+  /**
+   * Makes the schema accept `null` too.
+   */
+  nullable(): Fluent<typebox.TUnion<[T, typebox.TNull]>>;
+  /**
+   * Sets the description of the schema.
+   */
+  describe(description: string): Fluent<T, L>;
+  /**
+   * Sets the default value of the schema.
+   */
+  default(value: typebox.Static<T>): Fluent<T, L>;
+  /**
+   * Gets the plain TypeBox schema, without the modifiers.
+   */
+  unwrap(): T;
+}
+
+export interface Limits<T extends typebox.TSchema> {
+  /**
+   * Sets the lower limit of the schema, like `minLength` for strings.
+   */
+  min(value: number): Fluent<T, true>;
+  /**
+   * Sets the upper limit of the schema, like `maxLength` for strings.
+   */
+  max(value: number): Fluent<T, true>;
+}
@@ -0,0 +1,13 @@
+import type { TSchema, TArray, TUnknown, ArrayOptions } from "../../index.mjs";
+
+/**
+ * Type parameters with constraints and defaults.
+ */
+export declare class FixtureBuilder {
+  Array<T extends TSchema = TUnknown>(schema?: T, options?: ArrayOptions): TArray<T>;
+  Const<const T>(value: T): TSchema;
+  Pick<T extends TSchema, K extends PropertyKey[] = []>(
+    schema: T,
+    keys: readonly [...K],
+  ): TSchema;
+}
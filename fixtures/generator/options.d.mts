@@ -0,0 +1,19 @@
+import type {
+  TNumber,
+  TObject,
+  TProperties,
+  TString,
+  NumberOptions,
+  ObjectOptions,
+  StringOptions,
+} from "../../index.mjs";
+
+/**
+ * Option types, alone or after required parameters.
+ */
+export declare class FixtureBuilder {
+  Number(options?: NumberOptions): TNumber;
+  Object<T extends TProperties>(properties: T, options?: ObjectOptions): TObject<T>;
+  String(options?: StringOptions): TString;
+  Limited(options: NumberOptions, limit?: number): TNumber;
+}
@@ -0,0 +1,15 @@
+import type { TSchema, TRef, TString, SchemaOptions } from "../../index.mjs";
+
+/**
+ * Overloads with conflicting names, types and arities, and a parameter declared with a
+ * binding pattern.
+ */
+export declare class FixtureBuilder {
+  Ref<T extends TSchema>(schema: T, options?: SchemaOptions): TRef<T>;
+  Ref<T extends TSchema>($ref: string, options?: SchemaOptions): TRef<T>;
+  Pair(left: TSchema): TSchema;
+  Pair(left: TSchema, right: TSchema, options?: SchemaOptions): TSchema;
+  Named(name: string): TString;
+  Named(schema: TSchema, name: string): TString;
+  Pattern({ source, flags }: RegExp, options?: SchemaOptions): TString;
+}
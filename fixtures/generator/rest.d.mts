@@ -0,0 +1,11 @@
+import type { TSchema, TTuple, TUnion, SchemaOptions } from "../../index.mjs";
+
+/**
+ * Rest parameters, including one that absorbs the parameters other overloads declare at
+ * its position or after it.
+ */
+export declare class FixtureBuilder {
+  Tuple<T extends TSchema[]>(...items: [...T]): TTuple<T>;
+  Union<T extends TSchema[]>(items: [...T], options?: SchemaOptions): TUnion<T>;
+  Union<T extends TSchema[]>(first: TSchema, ...others: [...T]): TUnion<T>;
+}
@@ -0,0 +1,146 @@
+import { Kind } from "@sinclair/typebox";
+
+/**
+ * Kinds of the schemas TypeBox adds to JSON Schema to describe JavaScript values, which
+ * can't be represented in JSON Schema.
+ */
+export const NON_JSON_KINDS = Object.freeze([
+  "AsyncIterator",
+  "BigInt",
+  "Constructor",
+  "Date",
+  "Function",
+  "Iterator",
+  "Promise",
+  "RegExp",
+  "Symbol",
+  "Uint8Array",
+  "Undefined",
+  "Void",
+]);
+
+/**
+ * Converts a TypeBox schema to a plain JSON Schema, the way `JSON.stringify` would,
+ * without the symbols TypeBox uses to tag its schemas.
+ *
+ * The schemas of the {@link NON_JSON_KINDS} are written as an empty schema, keeping their
+ * `$id`, and the `bigint` values are left out. Both are reported in the issues.
+ *
+ * @param {TSchema}             schema      - The schema to convert.
+ * @param {JsonSchemaTransform} [transform] - Gets the value to keep for every property,
+ *                                          like the reviver of `JSON.parse`.
+ * @returns {JsonSchemaResult}
+ */
+export function toJsonSchema(schema, transform = (_key, value) => value) {
+  /**
+   * @type {JsonSchemaIssue[]}
+   */
+  const issues = [];
+
+  /**
+   * @param {unknown} value   - The value to convert.
+   * @param {string}  key     - The key of the value in its parent.
+   * @param {string}  pointer - The JSON pointer of the value.
+   * @returns {unknown}
+   */
+  function convert(value, key, pointer) {
+    if (typeof value === "bigint") {
+      issues.push({ pointer, message: "bigint values can't be represented in JSON." });
+
+      return undefined;
+    }
+
+    if (value === undefined || typeof value === "function" || typeof value === "symbol") {
+      return undefined;
+    }
+
+    if (typeof value === "number" && !Number.isFinite(value)) {
+      return transform(key, null);
+    }
+
+    if (typeof value !== "object" || value === null) {
+      return transform(key, value);
+    }
+
+    const object = /** @type {Record<PropertyKey, any>} */ (value);
+
+    if (typeof object.toJSON === "function") {
+      return convert(object.toJSON(key), key, pointer);
+    }
+
+    if (Array.isArray(value)) {
+      const items = value.map(
+        (item, i) => convert(item, String(i), `${pointer}/${i}`) ?? null,
+      );
+
+      return transform(key, items);
+    }
+
+    const kind = object[Kind];
+
+    if (NON_JSON_KINDS.includes(kind)) {
+      const { $id } = object;
+
+      issues.push({
+        pointer,
+        message: `Schemas of kind ${kind} have no JSON Schema equivalent.`,
+      });
+
+      return transform(key, typeof $id === "string" ? { $id } : {});
+    }
+
+    /**
+     * @type {Record<string, unknown>}
+     */
+    const converted = {};
+
+    for (const [name, item] of Object.entries(object)) {
+      const token = name.replaceAll("~", "~0").replaceAll("/", "~1");
+      const result = convert(item, name, `${pointer}/${token}`);
+
+      if (result !== undefined) {
+        converted[name] = result;
+      }
+    }
+
+    return transform(key, converted);
+  }
+
+  return {
+    schema: /** @type {Record<string, unknown>} */ (convert(schema, "", "")),
+    issues,
+  };
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                   Typings                                  */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * @typedef {import("@sinclair/typebox").TSchema} TSchema
+ */
+
+/**
+ * Gets the value to keep for a property of the converted schema.
+ *
+ * @callback JsonSchemaTransform
+ * @param {string}  key   - The key of the property.
+ * @param {unknown} value - The converted value of the property.
+ * @returns {unknown}
+ */
+
+/**
+ * A part of a schema that can't be represented in JSON Schema.
+ *
+ * @typedef {Object} JsonSchemaIssue
+ * @property {string} pointer - The JSON pointer of the value.
+ * @property {string} message - The description of the problem.
+ */
+
+/**
+ * The result of {@link toJsonSchema}.
+ *
+ * @typedef {Object} JsonSchemaResult
+ * @property {Record<string, unknown>} schema - The plain JSON Schema.
+ * @property {JsonSchemaIssue[]}       issues - The parts of the schema left out.
+ */
@@ -0,0 +1,918 @@
+import { Kind, OptionalKind, Type } from "@sinclair/typebox";
+
+import { assert, getValidator } from "./validation.js";
+
+/**
+ * Kinds of the schemas whose values contain other values. Reaching the depth limit
+ * stops them from growing any further.
+ */
+const CONTAINER_KINDS = [
+  "Object",
+  "Array",
+  "Tuple",
+  "Record",
+  "Intersect",
+  "This",
+  "Ref",
+];
+
+/**
+ * Characters used for the strings without pattern nor format.
+ */
+const LETTERS = "abcdefghijklmnopqrstuvwxyz";
+
+/**
+ * Characters matched by the character class escapes of the patterns.
+ *
+ * @type {Record<string, string>}
+ */
+const CLASS_ESCAPES = {
+  d: "0123456789",
+  w: `${LETTERS}${LETTERS.toUpperCase()}0123456789_`,
+  s: " ",
+};
+
+/**
+ * How many values are generated for a schema before giving up, when the generated
+ * values don't match it.
+ */
+const MAX_ATTEMPTS = 10;
+
+/**
+ * How many multiples of a fractional `multipleOf` are tried before giving up, when their
+ * remainder isn't exactly 0 because of the floating point error.
+ */
+const MAX_MULTIPLES = 1000;
+
+/**
+ * Generators of the string formats, by format name.
+ *
+ * @type {Record<string, (generator: MockGenerator) => string>}
+ */
+const FORMATS = {
+  "email": (g) => `${g.word(3, 8)}@${g.word(3, 8)}.com`,
+  "hostname": (g) => `${g.word(3, 8)}.${g.word(2, 3)}`,
+  "uri": (g) => `https://${g.word(3, 8)}.com/${g.word(3, 8)}`,
+  "url": (g) => `https://${g.word(3, 8)}.com/${g.word(3, 8)}`,
+  "uuid": (g) => {
+    const hex = [...Array(32)].map(() => g.integer(0, 15).toString(16)).join("");
+
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-4${hex.slice(13, 16)}-a${hex.slice(17, 20)}-${hex.slice(20)}`;
+  },
+  "date-time": (g) => g.date().toISOString(),
+  "date": (g) => g.date().toISOString().slice(0, 10),
+  "time": (g) => g.date().toISOString().slice(11, 19) + "Z",
+  "ipv4": (g) => [...Array(4)].map(() => g.integer(0, 255)).join("."),
+  "ipv6": (g) => [...Array(8)].map(() => g.integer(0, 0xffff).toString(16)).join(":"),
+};
+
+/* -------------------------------------------------------------------------- */
+/*                         Class MockGenerationError                          */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Error thrown when no value can be generated for a schema.
+ */
+export class MockGenerationError extends Error {
+  /**
+   * @param {string}       message   - Why no value can be generated.
+   * @param {ErrorOptions} [options] - The error that caused it, if any.
+   */
+  constructor(message, options) {
+    super(message, options);
+
+    this.name = "MockGenerationError";
+  }
+}
+
+/* -------------------------------------------------------------------------- */
+/*                            Class MockGenerator                             */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Generates values that match a schema, from a seed. The same seed always generates the
+ * same values, in the same order.
+ *
+ * Every generated value is validated with the schema before being returned. Values
+ * with a `format` only match when the format is registered in the `FormatRegistry` of
+ * TypeBox, like in any other validation.
+ *
+ * Functions return a value generated along with them, and constructors have a generated
+ * value as their prototype. The values of `Not` schemas are picked among unrelated values
+ * until one isn't matched. Schemas TypeBox can't compile, like the `Unsafe` ones, can't
+ * be generated.
+ *
+ * @example
+ * ```js
+ * const generator = new MockGenerator({ seed: "users" });
+ * const user = generator.generate(User);
+ * ```
+ */
+export class MockGenerator {
+  /**
+   * @type {Required<MockOptions>}
+   */
+  options;
+
+  /**
+   * The state of the pseudo-random number generator.
+   *
+   * @type {number}
+   */
+  #state;
+
+  /**
+   * The schemas with an `$id` found by the current {@link MockGenerator.generate} call,
+   * so `This` and `Ref` schemas can be resolved.
+   *
+   * @type {Map<string, TSchema>}
+   */
+  #recursive = new Map();
+
+  /**
+   * @param {MockOptions} [options] - Options of the generator.
+   */
+  constructor(options = {}) {
+    this.options = { seed: 0, maxDepth: 3, references: [], ...options };
+    this.#state = hashSeed(this.options.seed);
+  }
+
+  /**
+   * Generates a value that matches the given schema.
+   *
+   * @template {TSchema} T
+   * @param {T} schema - The schema of the value.
+   * @returns {Static<T>}
+   * @throws {MockGenerationError} When the schema can't be compiled or has a kind values
+   *                               can't be generated for.
+   * @throws {import("./validation.js").SchemaValidationError<T>} When the generated values
+   *                                                             don't match the schema.
+   */
+  generate(schema) {
+    let validator;
+
+    try {
+      validator = getValidator(schema, this.options.references);
+    } catch (error) {
+      throw new MockGenerationError(`The schema can't be compiled: ${error}`, {
+        cause: error,
+      });
+    }
+
+    this.#recursive.clear();
+
+    let value = this.#generate(schema, 0);
+
+    for (let i = 1; i < MAX_ATTEMPTS && !validator.Check(value); i++) {
+      value = this.#generate(schema, 0);
+    }
+
+    assert(schema, value, this.options.references);
+
+    return value;
+  }
+
+  /**
+   * Gets the next pseudo-random number, between 0 (inclusive) and 1 (exclusive).
+   *
+   * @returns {number}
+   */
+  random() {
+    this.#state = (this.#state + 0x6d2b79f5) | 0;
+
+    let t = this.#state;
+
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Gets a pseudo-random integer between the given limits, both inclusive.
+   *
+   * @param {number} min - The lower limit.
+   * @param {number} max - The upper limit.
+   * @returns {number}
+   */
+  integer(min, max) {
+    return min + Math.floor(this.random() * (max - min + 1));
+  }
+
+  /**
+   * Picks one of the given items.
+   *
+   * @template T
+   * @param {readonly T[]} items - The items to pick from.
+   * @returns {T}
+   */
+  pick(items) {
+    return items[this.integer(0, items.length - 1)];
+  }
+
+  /**
+   * Generates a lowercase word.
+   *
+   * @param {number} min - The minimum length of the word.
+   * @param {number} max - The maximum length of the word.
+   * @returns {string}
+   */
+  word(min, max) {
+    return [...Array(this.integer(min, max))].map(() => this.pick([...LETTERS])).join("");
+  }
+
+  /**
+   * Generates a date between 2000 and 2030, or between the given timestamps.
+   *
+   * @param {number} [min] - The lower limit, in milliseconds since the epoch.
+   * @param {number} [max] - The upper limit, in milliseconds since the epoch.
+   * @returns {Date}
+   */
+  date(min = Date.UTC(2000, 0, 1), max = Date.UTC(2030, 0, 1)) {
+    return new Date(this.integer(min, max));
+  }
+
+  /**
+   * Generates a value for a schema, without validating it.
+   *
+   * @param {TSchema} schema - The schema of the value.
+   * @param {number}  depth  - How many containers the value is nested in.
+   * @returns {any}
+   */
+  #generate(schema, depth) {
+    if (typeof schema.$id === "string") {
+      this.#recursive.set(schema.$id, schema);
+    }
+
+    if (Object.hasOwn(schema, "default") && this.random() < 0.2) {
+      return structuredClone(schema.default);
+    }
+
+    switch (schema[Kind]) {
+      case "Any":
+      case "Unknown":
+        return this.pick([null, true, this.integer(0, 100), this.word(3, 8)]);
+      case "Null":
+        return null;
+      case "Undefined":
+      case "Void":
+        return undefined;
+      case "Boolean":
+        return this.random() < 0.5;
+      case "Literal":
+        return schema.const;
+      case "String":
+        return this.#generateString(schema);
+      case "TemplateLiteral":
+        return generatePattern(this, schema.pattern);
+      case "RegExp":
+        return generatePattern(this, schema.source);
+      case "Number":
+      case "Integer":
+        return this.#generateNumber(schema, schema[Kind] === "Integer");
+      case "BigInt":
+        return this.#generateBigInt(schema);
+      case "Date":
+        return this.date(schema.minimumTimestamp, schema.maximumTimestamp);
+      case "Uint8Array":
+        return this.#generateBytes(schema);
+      case "Array":
+        return this.#generateArray(schema, depth);
+      case "Tuple":
+        return (schema.items ?? []).map((/** @type {TSchema} */ item) => {
+          return this.#generate(item, depth + 1);
+        });
+      case "Object":
+        return this.#generateObject(schema, depth);
+      case "Record":
+        return this.#generateRecord(schema, depth);
+      case "Union":
+        return this.#generate(this.#pickMember(schema.anyOf, depth), depth);
+      case "Intersect":
+        return this.#generateIntersect(schema, depth);
+      case "This":
+      case "Ref":
+        return this.#generate(this.#resolve(schema), depth + 1);
+      case "Symbol":
+        return Symbol(this.word(3, 8));
+      case "Promise":
+        return Promise.resolve(this.#generate(schema.item, depth + 1));
+      case "Iterator":
+        return this.#generateArray(schema, depth).values();
+      case "AsyncIterator":
+        return toAsyncIterator(this.#generateArray(schema, depth));
+      case "Function": {
+        const result = this.#generate(schema.returns, depth + 1);
+
+        return () => result;
+      }
+      case "Constructor":
+        return this.#generateConstructor(schema, depth);
+      case "Not":
+        return this.#generate(Type.Unknown(), depth);
+      default:
+        throw new MockGenerationError(
+          `Values of schemas of kind ${String(schema[Kind])} can't be generated.`,
+        );
+    }
+  }
+
+  /**
+   * @param {TSchema} schema
+   * @returns {string}
+   */
+  #generateString(schema) {
+    if (typeof schema.pattern === "string") {
+      const { minLength, maxLength } = schema;
+
+      return generatePattern(this, schema.pattern, { minLength, maxLength });
+    }
+
+    if (typeof schema.format === "string" && schema.format in FORMATS) {
+      return FORMATS[schema.format](this);
+    }
+
+    const min = schema.minLength ?? 0;
+    const max = schema.maxLength ?? min + 10;
+
+    return this.word(min, Math.max(min, Math.min(max, min + 10)));
+  }
+
+  /**
+   * @param {TSchema} schema
+   * @param {boolean} integer - Whether the number must be an integer.
+   * @returns {number}
+   */
+  #generateNumber(schema, integer) {
+    const step = schema.multipleOf ?? (integer ? 1 : undefined);
+    const lower = Math.max(
+      schema.minimum ?? -Infinity,
+      schema.exclusiveMinimum ?? -Infinity,
+    );
+    const upper = Math.min(
+      schema.maximum ?? Infinity,
+      schema.exclusiveMaximum ?? Infinity,
+    );
+    const min = Number.isFinite(lower) ? lower : Number.isFinite(upper) ? upper - 100 : 0;
+    const max = Number.isFinite(upper) ? upper : min + 100;
+
+    if (step === undefined) {
+      const decimals = max > min ? Math.max(2, 2 - Math.floor(Math.log10(max - min))) : 2;
+      const value = roundTo(min + this.random() * (max - min), decimals);
+      const excluded =
+        value <= (schema.exclusiveMinimum ?? -Infinity) ||
+        value >= (schema.exclusiveMaximum ?? Infinity);
+
+      return value < min || value > max || excluded ? min + (max - min) / 2 : value;
+    }
+
+    let first = Math.ceil(min / step);
+    let last = Math.floor(max / step);
+
+    if (
+      schema.exclusiveMinimum !== undefined &&
+      first * step <= schema.exclusiveMinimum
+    ) {
+      first++;
+    }
+
+    if (schema.exclusiveMaximum !== undefined && last * step >= schema.exclusiveMaximum) {
+      last--;
+    }
+
+    last = Math.max(first, last);
+
+    const decimals = getDecimals(step);
+    const start = this.integer(first, last);
+    const count = Math.min(last - first + 1, MAX_MULTIPLES);
+
+    for (let i = 0; i < count; i++) {
+      const value = roundTo((first + ((start - first + i) % count)) * step, decimals);
+
+      if (value % step === 0) {
+        return value;
+      }
+    }
+
+    return roundTo(start * step, decimals);
+  }
+
+  /**
+   * @param {TSchema} schema
+   * @returns {bigint}
+   */
+  #generateBigInt(schema) {
+    /**
+     * @type {bigint[]}
+     */
+    const lowers = [];
+    /**
+     * @type {bigint[]}
+     */
+    const uppers = [];
+
+    if (schema.minimum !== undefined) {
+      lowers.push(schema.minimum);
+    }
+
+    if (schema.exclusiveMinimum !== undefined) {
+      lowers.push(schema.exclusiveMinimum + 1n);
+    }
+
+    if (schema.maximum !== undefined) {
+      uppers.push(schema.maximum);
+    }
+
+    if (schema.exclusiveMaximum !== undefined) {
+      uppers.push(schema.exclusiveMaximum - 1n);
+    }
+
+    const upper = uppers.reduce((a, b) => (b < a ? b : a), uppers[0]);
+    const min = lowers.reduce(
+      (a, b) => (b > a ? b : a),
+      lowers[0] ?? (upper === undefined ? 0n : upper - 100n),
+    );
+    const max = upper ?? min + 100n;
+    const span = max - min + 1n;
+    let offset = 0n;
+
+    if (span <= 0n) {
+      return min;
+    }
+
+    for (let bits = 0n; 1n << bits < span; bits += 32n) {
+      offset = (offset << 32n) | BigInt(this.integer(0, 0xffffffff));
+    }
+
+    return min + (offset % span);
+  }
+
+  /**
+   * @param {TSchema} schema
+   * @returns {Uint8Array}
+   */
+  #generateBytes(schema) {
+    const min = schema.minByteLength ?? 0;
+    const length = this.integer(min, schema.maxByteLength ?? min + 8);
+
+    return Uint8Array.from([...Array(length)].map(() => this.integer(0, 255)));
+  }
+
+  /**
+   * @param {TSchema} schema
+   * @param {number}  depth
+   * @returns {unknown[]}
+   */
+  #generateArray(schema, depth) {
+    const min = schema.minItems ?? 0;
+    const max = depth >= this.options.maxDepth ? min : (schema.maxItems ?? min + 3);
+    const length = this.integer(min, Math.max(min, Math.min(max, min + 3)));
+    /**
+     * @type {unknown[]}
+     */
+    const items = [];
+    /**
+     * @type {Set<string>}
+     */
+    const seen = new Set();
+
+    for (let i = 0; items.length < length && i < length * MAX_ATTEMPTS; i++) {
+      const item = this.#generate(schema.items, depth + 1);
+      const key = JSON.stringify(item);
+
+      if (!schema.uniqueItems || !seen.has(key)) {
+        seen.add(key);
+        items.push(item);
+      }
+    }
+
+    return items;
+  }
+
+  /**
+   * @param {TSchema} schema
+   * @param {number}  depth
+   * @returns {Function}
+   */
+  #generateConstructor(schema, depth) {
+    /**
+     * @type {Function}
+     */
+    const MockConstructor = function () {};
+
+    MockConstructor.prototype = this.#generate(schema.returns, depth + 1);
+
+    return MockConstructor;
+  }
+
+  /**
+   * @param {TSchema} schema
+   * @param {number}  depth
+   * @returns {Record<string, unknown>}
+   */
+  #generateObject(schema, depth) {
+    const required = new Set(schema.required ?? []);
+    /**
+     * @type {Record<string, unknown>}
+     */
+    const value = {};
+
+    for (const [key, property] of Object.entries(schema.properties ?? {})) {
+      const optional = !required.has(key) || property[OptionalKind] === "Optional";
+
+      if (optional && (depth >= this.options.maxDepth || this.random() < 0.5)) {
+        continue;
+      }
+
+      value[key] = this.#generate(property, depth + 1);
+    }
+
+    return value;
+  }
+
+  /**
+   * @param {TSchema} schema
+   * @param {number}  depth
+   * @returns {Record<string, unknown>}
+   */
+  #generateRecord(schema, depth) {
+    const [[pattern, values]] = Object.entries(schema.patternProperties);
+    const size = depth >= this.options.maxDepth ? 0 : this.integer(0, 3);
+    /**
+     * @type {Record<string, unknown>}
+     */
+    const value = {};
+
+    for (let i = 0; i < size; i++) {
+      value[generatePattern(this, pattern)] = this.#generate(values, depth + 1);
+    }
+
+    return value;
+  }
+
+  /**
+   * @param {TSchema} schema
+   * @param {number}  depth
+   * @returns {unknown}
+   */
+  #generateIntersect(schema, depth) {
+    /**
+     * @type {TSchema[]}
+     */
+    const members = schema.allOf;
+
+    if (members.every((member) => member[Kind] === "Object")) {
+      return this.#generateObject(Type.Composite(/** @type {any} */ (members)), depth);
+    }
+
+    return this.#generate(members[0], depth);
+  }
+
+  /**
+   * Picks the member of a union to generate a value for. Once the depth limit is
+   * reached, only the members that don't contain other values are picked, if any.
+   *
+   * @param {TSchema[]} members - The members of the union.
+   * @param {number}    depth   - How many containers the union is nested in.
+   * @returns {TSchema}
+   */
+  #pickMember(members, depth) {
+    if (depth < this.options.maxDepth) {
+      return this.pick(members);
+    }
+
+    const leaves = members.filter((member) => !CONTAINER_KINDS.includes(member[Kind]));
+
+    return this.pick(leaves.length > 0 ? leaves : members);
+  }
+
+  /**
+   * Gets the schema a `This` or `Ref` schema points to.
+   *
+   * @param {TSchema} schema - The reference.
+   * @returns {TSchema}
+   * @throws {MockGenerationError} When the referenced schema is unknown.
+   */
+  #resolve(schema) {
+    const target =
+      this.#recursive.get(schema.$ref) ??
+      this.options.references.find((reference) => reference.$id === schema.$ref);
+
+    if (target === undefined) {
+      throw new MockGenerationError(`The referenced schema ${schema.$ref} is unknown.`);
+    }
+
+    return target;
+  }
+}
+
+/**
+ * Generates a value that matches the given schema. Shortcut for
+ * {@link MockGenerator.generate} with a new generator.
+ *
+ * @template {TSchema} T
+ * @param {T}           schema    - The schema of the value.
+ * @param {MockOptions} [options] - Options of the generator.
+ * @returns {Static<T>}
+ */
+export function mock(schema, options) {
+  return new MockGenerator(options).generate(schema);
+}
+
+/**
+ * Converts the given seed into the initial state of the pseudo-random number generator,
+ * hashing it with FNV-1a when it's a string.
+ *
+ * @param {number | string} seed - The seed.
+ * @returns {number}
+ */
+function hashSeed(seed) {
+  if (typeof seed === "number") {
+    return seed | 0;
+  }
+
+  let hash = 0x811c9dc5;
+
+  for (const char of seed) {
+    hash = Math.imul(hash ^ /** @type {number} */ (char.codePointAt(0)), 0x01000193);
+  }
+
+  return hash | 0;
+}
+
+/**
+ * Yields the given items asynchronously.
+ *
+ * @template T
+ * @param {T[]} items - The items to yield.
+ * @returns {AsyncIterableIterator<T>}
+ */
+async function* toAsyncIterator(items) {
+  yield* items;
+}
+
+/**
+ * Rounds the given number to the given number of decimals.
+ *
+ * @param {number} value    - The number to round.
+ * @param {number} decimals - How many decimals to keep, up to 100.
+ * @returns {number}
+ */
+function roundTo(value, decimals) {
+  return Number(value.toFixed(Math.min(decimals, 100)));
+}
+
+/**
+ * Gets how many decimals it takes to write the given number, up to 100.
+ *
+ * @param {number} value - The number.
+ * @returns {number}
+ */
+function getDecimals(value) {
+  let decimals = 0;
+
+  while (decimals < 100 && Number(value.toFixed(decimals)) !== value) {
+    decimals++;
+  }
+
+  return decimals;
+}
+
+/**
+ * Generates a string that matches the given regular expression. Only literals, groups,
+ * alternations, character classes, the `\d`, `\w` and `\s` escapes, `.` and quantifiers
+ * are supported.
+ *
+ * The quantifiers without upper limit repeat their atom at least `minLength` times, and
+ * no quantifier repeats it more than `maxLength` times.
+ *
+ * @param {MockGenerator} generator - The generator of pseudo-random numbers.
+ * @param {string}        pattern   - The source of the regular expression.
+ * @param {LengthLimits}  [limits]  - The length limits of the string.
+ * @returns {string}
+ * @throws {MockGenerationError} When the pattern uses an unsupported construct.
+ */
+function generatePattern(generator, pattern, limits = {}) {
+  let position = 0;
+
+  /**
+   * @param {string} message
+   * @returns {never}
+   */
+  const fail = (message) => {
+    throw new MockGenerationError(
+      `Unable to generate a string for /${pattern}/: ${message}`,
+    );
+  };
+
+  /**
+   * @returns {string[]} The characters of the class at the current position.
+   */
+  const parseClass = () => {
+    /**
+     * @type {string[]}
+     */
+    const chars = [];
+
+    if (pattern[position] === "^") {
+      fail("negated character classes are not supported.");
+    }
+
+    while (position < pattern.length && pattern[position] !== "]") {
+      let char = pattern[position++];
+
+      if (char === "\\") {
+        const escaped = pattern[position++];
+
+        if (escaped in CLASS_ESCAPES) {
+          chars.push(...CLASS_ESCAPES[escaped]);
+          continue;
+        }
+
+        char = escaped;
+      }
+
+      if (pattern[position] === "-" && pattern[position + 1] !== "]") {
+        const end = /** @type {number} */ (pattern.codePointAt(position + 1));
+
+        for (
+          let code = /** @type {number} */ (char.codePointAt(0));
+          code <= end;
+          code++
+        ) {
+          chars.push(String.fromCodePoint(code));
+        }
+
+        position += 2;
+      } else {
+        chars.push(char);
+      }
+    }
+
+    position++;
+
+    return chars;
+  };
+
+  /**
+   * @returns {() => string} A function generating a match of the atom at the current
+   *                         position.
+   */
+  const parseAtom = () => {
+    const char = pattern[position++];
+
+    if (char === "(") {
+      if (pattern[position] === "?") {
+        if (pattern[position + 1] !== ":") {
+          fail("lookarounds and named groups are not supported.");
+        }
+
+        position += 2;
+      }
+
+      const alternation = parseAlternation();
+
+      if (pattern[position++] !== ")") {
+        fail("unterminated group.");
+      }
+
+      return alternation;
+    }
+
+    if (char === "[") {
+      const chars = parseClass();
+
+      return () => generator.pick(chars);
+    }
+
+    if (char === ".") {
+      return () => generator.pick([...CLASS_ESCAPES.w]);
+    }
+
+    if (char === "^" || char === "$") {
+      return () => "";
+    }
+
+    if (char === "\\") {
+      const escaped = pattern[position++];
+
+      if (escaped in CLASS_ESCAPES) {
+        return () => generator.pick([...CLASS_ESCAPES[escaped]]);
+      }
+
+      if (/[A-Za-z0-9]/.test(escaped)) {
+        fail(`the \\${escaped} escape is not supported.`);
+      }
+
+      return () => escaped;
+    }
+
+    return () => char;
+  };
+
+  /**
+   * @returns {() => string} A function generating a match of the atom at the current
+   *                         position, repeated as its quantifier says.
+   */
+  const parseQuantified = () => {
+    const atom = parseAtom();
+    const quantifier = pattern.slice(position).match(/^(\*|\+|\?|\{(\d+)(,(\d*))?\})\??/);
+
+    if (quantifier === null) {
+      return atom;
+    }
+
+    position += quantifier[0].length;
+
+    const [, symbol, exact, range, upper] = quantifier;
+    const open = symbol === "*" || symbol === "+" || (range !== undefined && !upper);
+    const least = symbol === "+" ? 1 : exact === undefined ? 0 : Number(exact);
+    const min = open ? Math.max(least, limits.minLength ?? 0) : least;
+    const max =
+      symbol === "?"
+        ? 1
+        : exact !== undefined && range === undefined
+          ? min
+          : upper
+            ? Number(upper)
+            : Math.max(min, Math.min(min + 5, limits.maxLength ?? Infinity));
+
+    return () => [...Array(generator.integer(min, max))].map(() => atom()).join("");
+  };
+
+  /**
+   * @returns {() => string} A function generating a match of the sequence at the current
+   *                         position.
+   */
+  const parseSequence = () => {
+    /**
+     * @type {(() => string)[]}
+     */
+    const atoms = [];
+
+    while (
+      position < pattern.length &&
+      pattern[position] !== "|" &&
+      pattern[position] !== ")"
+    ) {
+      atoms.push(parseQuantified());
+    }
+
+    return () => atoms.map((atom) => atom()).join("");
+  };
+
+  /**
+   * @returns {() => string} A function generating a match of the alternation at the
+   *                         current position.
+   */
+  const parseAlternation = () => {
+    const sequences = [parseSequence()];
+
+    while (pattern[position] === "|") {
+      position++;
+      sequences.push(parseSequence());
+    }
+
+    return () => generator.pick(sequences)();
+  };
+
+  const root = parseAlternation();
+
+  if (position < pattern.length) {
+    fail(`unexpected ${pattern[position]}.`);
+  }
+
+  return root();
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                   Typings                                  */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * @typedef {import("@sinclair/typebox").TSchema} TSchema
+ */
+
+/**
+ * @template {TSchema} T
+ * @typedef {import("@sinclair/typebox").Static<T>} Static
+ */
+
+/**
+ * Options of a {@link MockGenerator}.
+ *
+ * @typedef {Object} MockOptions
+ * @property {number | string} [seed]       - The seed of the generated values. `0` by
+ *                                          default.
+ * @property {number}          [maxDepth]   - How deep values can be nested before the
+ *                                          optional values are left out. `3` by default.
+ * @property {TSchema[]}       [references] - The schemas referenced with `Type.Ref`.
+ */
+
+/**
+ * The length limits of a generated string.
+ *
+ * @typedef {Object} LengthLimits
+ * @property {number} [minLength] - The minimum length.
+ * @property {number} [maxLength] - The maximum length.
+ */
@@ -0,0 +1,618 @@
+import http from "node:http";
+
+import { TypeGuard } from "@sinclair/typebox";
+
+import { toJsonSchema } from "./json-schema.js";
+
+/**
+ * Version of the OpenAPI specification of the built documents.
+ */
+export const OPENAPI_VERSION = "3.1.0";
+
+/**
+ * HTTP methods a route can be declared for.
+ */
+export const HTTP_METHODS = Object.freeze([
+  "get",
+  "put",
+  "post",
+  "delete",
+  "options",
+  "head",
+  "patch",
+  "trace",
+]);
+
+/**
+ * Prefix of the references to the schemas of the components of a document.
+ */
+const COMPONENTS_PREFIX = "#/components/schemas/";
+
+/* -------------------------------------------------------------------------- */
+/*                              Class OpenApiError                            */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Error thrown when the routes or schemas given to an {@link OpenApiBuilder} can't be
+ * assembled into a valid document.
+ */
+export class OpenApiError extends Error {
+  /**
+   * @param {string[]} issues - The problems found.
+   */
+  constructor(issues) {
+    super(
+      [
+        "Unable to build the OpenAPI document:",
+        ...issues.map((issue) => `  - ${issue}`),
+      ].join("\n"),
+    );
+
+    this.name = "OpenApiError";
+
+    /**
+     * The problems found.
+     */
+    this.issues = issues;
+  }
+}
+
+/* -------------------------------------------------------------------------- */
+/*                             Class OpenApiBuilder                           */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Assembles an OpenAPI 3.1 document from routes declared with TypeBox schemas.
+ *
+ * Every schema with an `$id` found in a route is hoisted into `components.schemas`, named
+ * after its `$id`, and replaced by a reference to it. References created with `Type.Ref`
+ * point to the hoisted schemas too, so the schemas they reference must be part of a route,
+ * added with {@link OpenApiBuilder.schema} or found in the configured registry.
+ *
+ * @example
+ * ```js
+ * const document = new OpenApiBuilder({ title: "Users", version: "1.0.0" })
+ *   .get("/users/{id}", {
+ *     params: Type.Object({ id: Type.String() }),
+ *     responses: { 200: User },
+ *   })
+ *   .build();
+ * ```
+ */
+export class OpenApiBuilder {
+  /**
+   * The metadata of the document.
+   *
+   * @type {OpenApiInfo}
+   */
+  info;
+
+  /**
+   * @type {OpenApiBuilderOptions}
+   */
+  #options;
+
+  /**
+   * The declared routes, by path and method.
+   *
+   * @type {Map<string, Map<HttpMethod, RouteDefinition>>}
+   */
+  #routes = new Map();
+
+  /**
+   * The schemas added to the components, besides the ones found in the routes.
+   *
+   * @type {TSchema[]}
+   */
+  #schemas = [];
+
+  /**
+   * @param {OpenApiInfo}           info      - The metadata of the document.
+   * @param {OpenApiBuilderOptions} [options] - Options of the document.
+   */
+  constructor(info, options = {}) {
+    this.info = info;
+    this.#options = options;
+  }
+
+  /**
+   * Adds a schema to the components of the document, even when no route uses it.
+   *
+   * @param {TSchema} schema - The schema to add. It must have an `$id`.
+   * @returns {this}
+   */
+  schema(schema) {
+    this.#schemas.push(schema);
+
+    return this;
+  }
+
+  /**
+   * Declares a route.
+   *
+   * @param {HttpMethod}      method     - The HTTP method of the route.
+   * @param {string}          path       - The path of the route, with its parameters
+   *                                     between braces, like `/users/{id}`.
+   * @param {RouteDefinition} definition - The schemas and metadata of the route.
+   * @returns {this}
+   * @throws {OpenApiError} When the route was already declared.
+   */
+  route(method, path, definition) {
+    const methods = this.#routes.get(path) ?? new Map();
+
+    if (methods.has(method)) {
+      throw new OpenApiError([
+        `The ${method.toUpperCase()} ${path} route is declared twice.`,
+      ]);
+    }
+
+    this.#routes.set(path, methods.set(method, definition));
+
+    return this;
+  }
+
+  /**
+   * Declares a `GET` route.
+   *
+   * @param {string}          path       - The path of the route.
+   * @param {RouteDefinition} definition - The schemas and metadata of the route.
+   * @returns {this}
+   */
+  get(path, definition) {
+    return this.route("get", path, definition);
+  }
+
+  /**
+   * Declares a `POST` route.
+   *
+   * @param {string}          path       - The path of the route.
+   * @param {RouteDefinition} definition - The schemas and metadata of the route.
+   * @returns {this}
+   */
+  post(path, definition) {
+    return this.route("post", path, definition);
+  }
+
+  /**
+   * Declares a `PUT` route.
+   *
+   * @param {string}          path       - The path of the route.
+   * @param {RouteDefinition} definition - The schemas and metadata of the route.
+   * @returns {this}
+   */
+  put(path, definition) {
+    return this.route("put", path, definition);
+  }
+
+  /**
+   * Declares a `PATCH` route.
+   *
+   * @param {string}          path       - The path of the route.
+   * @param {RouteDefinition} definition - The schemas and metadata of the route.
+   * @returns {this}
+   */
+  patch(path, definition) {
+    return this.route("patch", path, definition);
+  }
+
+  /**
+   * Declares a `DELETE` route.
+   *
+   * @param {string}          path       - The path of the route.
+   * @param {RouteDefinition} definition - The schemas and metadata of the route.
+   * @returns {this}
+   */
+  delete(path, definition) {
+    return this.route("delete", path, definition);
+  }
+
+  /**
+   * Assembles the OpenAPI document.
+   *
+   * @returns {OpenApiDocument}
+   * @throws {OpenApiError} When a route or a schema is not valid.
+   */
+  build() {
+    const context = new BuildContext(this.#options.registry);
+    /**
+     * @type {Record<string, Record<string, unknown>>}
+     */
+    const paths = {};
+
+    this.#schemas.forEach((schema) => context.addComponent(schema, "components"));
+
+    for (const [path, methods] of this.#routes) {
+      paths[path] = {};
+
+      for (const [method, definition] of methods) {
+        paths[path][method] = createOperation(context, method, path, definition);
+      }
+    }
+
+    context.resolveReferences();
+
+    if (context.issues.length > 0) {
+      throw new OpenApiError(context.issues);
+    }
+
+    return {
+      openapi: OPENAPI_VERSION,
+      info: this.info,
+      ...(this.#options.servers ? { servers: this.#options.servers } : {}),
+      paths,
+      ...(context.components.size > 0
+        ? { components: { schemas: Object.fromEntries(context.components) } }
+        : {}),
+    };
+  }
+}
+
+/* -------------------------------------------------------------------------- */
+/*                              Class BuildContext                            */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Keeps the state of a single {@link OpenApiBuilder.build} call.
+ */
+class BuildContext {
+  /**
+   * The hoisted schemas, by component name.
+   *
+   * @type {Map<string, Record<string, unknown>>}
+   */
+  components = new Map();
+
+  /**
+   * The problems found so far.
+   *
+   * @type {string[]}
+   */
+  issues = [];
+
+  /**
+   * Component names of the hoisted schemas, by `$id`.
+   *
+   * @type {Map<string, string>}
+   */
+  #names = new Map();
+
+  /**
+   * The references found in the schemas, waiting to point to a component.
+   *
+   * @type {{ target: Record<string, unknown>; id: string; location: string }[]}
+   */
+  #references = [];
+
+  /**
+   * @type {import("./registry.js").SchemaRegistry | undefined}
+   */
+  #registry;
+
+  /**
+   * @param {import("./registry.js").SchemaRegistry} [registry] - Where to look for the
+   *                                                            referenced schemas.
+   */
+  constructor(registry) {
+    this.#registry = registry;
+  }
+
+  /**
+   * Converts a schema of a route into the schema of the document, hoisting the schemas
+   * with an `$id` into the components. The parts of the schema that can't be represented
+   * in JSON Schema, like the `Date` schemas, are reported in the issues.
+   *
+   * @param {TSchema} schema   - The schema to convert.
+   * @param {string}  location - Where the schema was found, used in the issues.
+   * @returns {Record<string, unknown>}
+   */
+  convert(schema, location) {
+    const converted = toJsonSchema(schema);
+
+    converted.issues.forEach(({ pointer, message }) => {
+      this.issues.push(`${location}${pointer ? ` at ${pointer}` : ""}: ${message}`);
+    });
+
+    return this.#hoist(converted.schema, location);
+  }
+
+  /**
+   * Adds a schema to the components.
+   *
+   * @param {TSchema} schema   - The schema to add.
+   * @param {string}  location - Where the schema was found, used in the issues.
+   */
+  addComponent(schema, location) {
+    if (typeof schema.$id !== "string") {
+      this.issues.push(`${location}: Only schemas with an $id can be components.`);
+
+      return;
+    }
+
+    this.convert(schema, location);
+  }
+
+  /**
+   * Points the references found in the schemas to their component, adding the schemas of
+   * the registry they reference.
+   */
+  resolveReferences() {
+    for (let i = 0; i < this.#references.length; i++) {
+      const { target, id, location } = this.#references[i];
+
+      if (!this.#names.has(id) && this.#registry?.has(id)) {
+        this.convert(this.#registry.get(id), `the registry schema ${id}`);
+      }
+
+      if (this.#names.has(id)) {
+        target.$ref = `${COMPONENTS_PREFIX}${this.#names.get(id)}`;
+      } else {
+        this.issues.push(`${location}: The referenced schema ${id} is not a component.`);
+      }
+    }
+  }
+
+  /**
+   * Replaces the schemas with an `$id` found in the given value by references to their
+   * component.
+   *
+   * @param {any}    value    - The plain JSON value of a schema.
+   * @param {string} location - Where the value was found, used in the issues.
+   * @returns {any}
+   */
+  #hoist(value, location) {
+    if (Array.isArray(value)) {
+      return value.map((item) => this.#hoist(item, location));
+    }
+
+    if (typeof value !== "object" || value === null) {
+      return value;
+    }
+
+    const hoisted = Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, this.#hoist(item, location)]),
+    );
+
+    if (typeof hoisted.$ref === "string" && !hoisted.$ref.startsWith("#")) {
+      this.#references.push({ target: hoisted, id: hoisted.$ref, location });
+    }
+
+    if (typeof hoisted.$id !== "string") {
+      return hoisted;
+    }
+
+    const { $id, ...component } = hoisted;
+    const name = this.#names.get($id) ?? getComponentName($id, this.components);
+    const existing = this.components.get(name);
+
+    if (existing && JSON.stringify(existing) !== JSON.stringify(component)) {
+      this.issues.push(`${location}: Different schemas use the same $id, ${$id}.`);
+    }
+
+    this.#names.set($id, name);
+    this.components.set(name, component);
+
+    return { $ref: `${COMPONENTS_PREFIX}${name}` };
+  }
+}
+
+/**
+ * Gets the name of the component of the schema with the given `$id`. Only letters,
+ * digits, `.`, `-` and `_` are allowed in component names, so anything else is replaced
+ * by `_`, and a number is appended when the name is already taken.
+ *
+ * @param {string}              id         - The `$id` of the schema.
+ * @param {Map<string, unknown>} components - The components, by name.
+ * @returns {string}
+ */
+function getComponentName(id, components) {
+  const base =
+    id
+      .replace(/^.*\//, "")
+      .replace(/\.json$/, "")
+      .replace(/[^\w.-]+/g, "_") || "Schema";
+  let name = base;
+
+  for (let i = 2; components.has(name); i++) {
+    name = `${base}${i}`;
+  }
+
+  return name;
+}
+
+/**
+ * Creates the parameters of an operation from the object schema of a location.
+ *
+ * @param {BuildContext}      context  - The state of the build.
+ * @param {ParameterLocation} location - Where the parameters are sent.
+ * @param {TSchema}           schema   - The object schema of the parameters.
+ * @param {string}            route    - The route, used in the issues.
+ * @returns {Record<string, unknown>[]}
+ */
+function createParameters(context, location, schema, route) {
+  if (!TypeGuard.IsObject(schema)) {
+    context.issues.push(`${route}: The ${location} parameters must be an object schema.`);
+
+    return [];
+  }
+
+  const required = schema.required ?? [];
+
+  return Object.entries(schema.properties).map(([name, property]) => {
+    const { description, ...rest } = context.convert(
+      property,
+      `${route} ${location} ${name}`,
+    );
+
+    return {
+      name,
+      in: location,
+      ...(description === undefined ? {} : { description }),
+      required: location === "path" || required.includes(name),
+      schema: rest,
+    };
+  });
+}
+
+/**
+ * Creates an operation of the document from the definition of a route.
+ *
+ * @param {BuildContext}    context    - The state of the build.
+ * @param {HttpMethod}      method     - The HTTP method of the route.
+ * @param {string}          path       - The path of the route.
+ * @param {RouteDefinition} definition - The schemas and metadata of the route.
+ * @returns {Record<string, unknown>}
+ */
+function createOperation(context, method, path, definition) {
+  const route = `${method.toUpperCase()} ${path}`;
+  const placeholders = [...path.matchAll(/\{([^}]+)\}/g)].map((match) => match[1]);
+  const declared = Object.keys(definition.params?.properties ?? {});
+  const parameters = [
+    ...(definition.params
+      ? createParameters(context, "path", definition.params, route)
+      : []),
+    ...(definition.query
+      ? createParameters(context, "query", definition.query, route)
+      : []),
+    ...(definition.headers
+      ? createParameters(context, "header", definition.headers, route)
+      : []),
+  ];
+
+  placeholders
+    .filter((name) => !declared.includes(name))
+    .forEach((name) =>
+      context.issues.push(`${route}: The path parameter ${name} has no schema.`),
+    );
+
+  declared
+    .filter((name) => !placeholders.includes(name))
+    .forEach((name) =>
+      context.issues.push(`${route}: ${name} is not a parameter of the path.`),
+    );
+
+  const responses = Object.entries(definition.responses).map(([status, response]) => {
+    const {
+      description,
+      schema,
+      contentType = "application/json",
+    } = TypeGuard.IsSchema(response)
+      ? { description: undefined, schema: response }
+      : response;
+
+    return [
+      status,
+      {
+        description:
+          description ?? schema?.description ?? http.STATUS_CODES[status] ?? "Response",
+        ...(schema
+          ? {
+              content: {
+                [contentType]: { schema: context.convert(schema, `${route} ${status}`) },
+              },
+            }
+          : {}),
+      },
+    ];
+  });
+
+  return {
+    ...(definition.operationId ? { operationId: definition.operationId } : {}),
+    ...(definition.summary ? { summary: definition.summary } : {}),
+    ...(definition.description ? { description: definition.description } : {}),
+    ...(definition.tags ? { tags: definition.tags } : {}),
+    ...(parameters.length > 0 ? { parameters } : {}),
+    ...(definition.body
+      ? {
+          requestBody: {
+            required: true,
+            content: {
+              [definition.bodyContentType ?? "application/json"]: {
+                schema: context.convert(definition.body, `${route} body`),
+              },
+            },
+          },
+        }
+      : {}),
+    responses: Object.fromEntries(responses),
+  };
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                   Typings                                  */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * @typedef {import("@sinclair/typebox").TSchema} TSchema
+ */
+
+/**
+ * @typedef {import("@sinclair/typebox").TObject} TObject
+ */
+
+/**
+ * @typedef {(typeof HTTP_METHODS)[number]} HttpMethod
+ */
+
+/**
+ * @typedef {"path" | "query" | "header"} ParameterLocation
+ */
+
+/**
+ * The metadata of an OpenAPI document.
+ *
+ * @typedef {Object} OpenApiInfo
+ * @property {string} title         - The title of the API.
+ * @property {string} version       - The version of the API.
+ * @property {string} [description] - The description of the API.
+ */
+
+/**
+ * Options of an {@link OpenApiBuilder}.
+ *
+ * @typedef {Object} OpenApiBuilderOptions
+ * @property {{ url: string; description?: string }[]} [servers]
+ * The servers of the API.
+ * @property {import("./registry.js").SchemaRegistry} [registry]
+ * Where to look for the schemas referenced with `Type.Ref` that no route uses.
+ */
+
+/**
+ * A response of a route, when it needs more than its schema.
+ *
+ * @typedef {Object} ResponseDefinition
+ * @property {string}  [description] - The description of the response. Defaults to the
+ *                                   description of the schema or the status text.
+ * @property {TSchema} [schema]      - The schema of the response body, if it has one.
+ * @property {string}  [contentType] - The media type of the body, `application/json` by
+ *                                   default.
+ */
+
+/**
+ * The schemas and metadata of a route.
+ *
+ * @typedef {Object} RouteDefinition
+ * @property {string}   [operationId]     - The unique name of the operation.
+ * @property {string}   [summary]         - A short summary of the operation.
+ * @property {string}   [description]     - The description of the operation.
+ * @property {string[]} [tags]            - The tags of the operation.
+ * @property {TObject}  [params]          - The schema of the path parameters.
+ * @property {TObject}  [query]           - The schema of the query parameters.
+ * @property {TObject}  [headers]         - The schema of the header parameters.
+ * @property {TSchema}  [body]            - The schema of the request body.
+ * @property {string}   [bodyContentType] - The media type of the request body,
+ *                                        `application/json` by default.
+ * @property {Record<number | string, TSchema | ResponseDefinition>} responses
+ * The responses of the operation, by status code.
+ */
+
+/**
+ * An OpenAPI 3.1 document.
+ *
+ * @typedef {Object} OpenApiDocument
+ * @property {string}                                  openapi      - The OpenAPI version.
+ * @property {OpenApiInfo}                             info         - The metadata.
+ * @property {{ url: string; description?: string }[]} [servers]    - The servers.
+ * @property {Record<string, Record<string, unknown>>} paths        - The operations, by
+ *                                                                  path and method.
+ * @property {{ schemas: Record<string, unknown> }}    [components] - The shared schemas.
+ */
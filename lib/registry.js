@@ -0,0 +1,279 @@
+import { Type } from "@sinclair/typebox";
+
+import { assert, parse, validate } from "./validation.js";
+
+/**
+ * The dialect of the bundles created by {@link SchemaRegistry.bundle}.
+ */
+export const BUNDLE_DIALECT = "https://json-schema.org/draft/2020-12/schema";
+
+/**
+ * Gets the `$ref` of a definition in the `$defs` of a bundle. The key is escaped as a
+ * JSON pointer token, then percent-encoded to be a valid URI fragment.
+ *
+ * @param {string} key - The key of the definition in `$defs`.
+ * @returns {string}
+ */
+export function getDefinitionRef(key) {
+  const token = key.replaceAll("~", "~0").replaceAll("/", "~1");
+
+  return `#/$defs/${encodeURIComponent(token)}`;
+}
+
+/**
+ * Creates a `JSON.parse` reviver that rewrites the `$ref` keywords pointing to a bundled
+ * schema so they point to its definition in the bundle instead. The copies of a bundled
+ * schema embedded in another schema are replaced by a `$ref` too, so the bundle never
+ * repeats their `$id`.
+ *
+ * @param {Map<string, string>} keys - The keys of the definitions in `$defs`, by the
+ *                                     `$id` of their schema.
+ * @returns {(key: string, value: unknown) => unknown}
+ */
+export function createRefRewriter(keys) {
+  return (key, value) => {
+    if (key === "$ref" && typeof value === "string") {
+      const definition = keys.get(value);
+
+      return definition === undefined ? value : getDefinitionRef(definition);
+    }
+
+    // The root is the definition itself, whose `$id` is dropped by the bundle.
+    if (key === "" || typeof value !== "object" || value === null || !("$id" in value)) {
+      return value;
+    }
+
+    const definition = typeof value.$id === "string" ? keys.get(value.$id) : undefined;
+
+    return definition === undefined ? value : { $ref: getDefinitionRef(definition) };
+  };
+}
+
+/* -------------------------------------------------------------------------- */
+/*                          Class SchemaRegistryError                         */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Error thrown when a schema can't be registered or a registered schema can't be found.
+ */
+export class SchemaRegistryError extends Error {
+  /**
+   * @param {string} message - What went wrong.
+   * @param {string} [id]    - The `$id` of the schema involved, if it has one.
+   */
+  constructor(message, id) {
+    super(message);
+
+    this.name = "SchemaRegistryError";
+
+    /**
+     * The `$id` of the schema involved, if it has one.
+     */
+    this.id = id;
+  }
+}
+
+/* -------------------------------------------------------------------------- */
+/*                            Class SchemaRegistry                            */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Keeps the schemas shared across modules by their `$id`, so they can be referenced with
+ * `Type.Ref` and validated without passing their references around.
+ */
+export class SchemaRegistry {
+  /**
+   * The registered schemas, by `$id`.
+   *
+   * @type {Map<string, TSchema>}
+   */
+  #schemas = new Map();
+
+  /**
+   * The registered schemas, in the order they were registered. The array is only ever
+   * appended to, so the validators compiled with it stay valid.
+   *
+   * @type {TSchema[]}
+   */
+  #references = [];
+
+  /**
+   * The `$id` of every registered schema.
+   */
+  get ids() {
+    return [...this.#schemas.keys()];
+  }
+
+  /**
+   * Registers the given schema under its `$id`.
+   *
+   * @template {TSchema} T
+   * @param {T} schema - The schema to register.
+   * @returns {T} The registered schema.
+   * @throws {SchemaRegistryError} When the schema has no `$id`, or another schema is
+   *                               already registered with it.
+   */
+  register(schema) {
+    const id = schema.$id;
+
+    if (typeof id !== "string" || id.length === 0) {
+      throw new SchemaRegistryError("Only schemas with an $id can be registered.");
+    }
+
+    if (this.#schemas.has(id)) {
+      throw new SchemaRegistryError(`A schema is already registered as ${id}.`, id);
+    }
+
+    this.#schemas.set(id, schema);
+    this.#references.push(schema);
+
+    return schema;
+  }
+
+  /**
+   * Checks if a schema is registered with the given `$id`.
+   *
+   * @param {string} id - The `$id` to look for.
+   * @returns {boolean}
+   */
+  has(id) {
+    return this.#schemas.has(id);
+  }
+
+  /**
+   * Gets the schema registered with the given `$id`.
+   *
+   * @param {string} id - The `$id` of the schema.
+   * @returns {TSchema}
+   * @throws {SchemaRegistryError} When no schema is registered with the `$id`.
+   */
+  get(id) {
+    const schema = this.#schemas.get(id);
+
+    if (schema === undefined) {
+      throw new SchemaRegistryError(`No schema is registered as ${id}.`, id);
+    }
+
+    return schema;
+  }
+
+  /**
+   * Creates a reference to a registered schema.
+   *
+   * @template {TSchema} T
+   * @param {T | string} schema - The schema to reference, or its `$id`.
+   * @returns {import("@sinclair/typebox").TRef<T>}
+   * @throws {SchemaRegistryError} When the schema is not registered.
+   */
+  ref(schema) {
+    const id = typeof schema === "string" ? schema : schema.$id;
+
+    return Type.Ref(/** @type {T} */ (this.get(id ?? "")));
+  }
+
+  /**
+   * Validates a value against a schema, resolving the references to registered schemas.
+   *
+   * @template {TSchema} T
+   * @param {T}       schema - The schema to validate with.
+   * @param {unknown} value  - The value to validate.
+   * @returns {import("./validation.js").ValidationResult<Static<T>>}
+   */
+  validate(schema, value) {
+    return validate(schema, value, this.#references);
+  }
+
+  /**
+   * Asserts that a value matches a schema, resolving the references to registered
+   * schemas.
+   *
+   * @template {TSchema} T
+   * @param {T}       schema - The schema to validate with.
+   * @param {unknown} value  - The value to validate.
+   * @returns {asserts value is Static<T>}
+   * @throws {import("./validation.js").SchemaValidationError<T>} When the value doesn't
+   *                                                             match the schema.
+   */
+  assert(schema, value) {
+    assert(schema, value, this.#references);
+  }
+
+  /**
+   * Parses a value with a schema, resolving the references to registered schemas.
+   *
+   * @template {TSchema} T
+   * @param {T}       schema - The schema to parse with.
+   * @param {unknown} value  - The value to parse.
+   * @returns {Static<T>} The parsed value.
+   * @throws {import("./validation.js").SchemaValidationError<T>} When the value doesn't
+   *                                                             match the schema.
+   */
+  parse(schema, value) {
+    return parse(schema, value, this.#references);
+  }
+
+  /**
+   * Creates a single JSON Schema document with every registered schema in its `$defs`,
+   * keyed by `$id`. References to registered schemas are rewritten to point to their
+   * definition in the document.
+   *
+   * @param {BundleOptions} [options] - Options of the bundle.
+   * @returns {SchemaBundle}
+   */
+  bundle(options = {}) {
+    /**
+     * @type {Record<string, unknown>}
+     */
+    const $defs = {};
+    const rewriteRef = createRefRewriter(
+      new Map([...this.#schemas.keys()].map((id) => [id, id])),
+    );
+
+    for (const [id, schema] of this.#schemas) {
+      const definition = JSON.parse(JSON.stringify(schema), rewriteRef);
+
+      delete definition.$id;
+      $defs[id] = definition;
+    }
+
+    return {
+      $schema: BUNDLE_DIALECT,
+      ...(options.id === undefined ? {} : { $id: options.id }),
+      $defs,
+    };
+  }
+}
+
+/**
+ * The registry shared by the whole application.
+ */
+export const registry = new SchemaRegistry();
+
+/* -------------------------------------------------------------------------- */
+/*                                   Typings                                  */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * @typedef {import("@sinclair/typebox").TSchema} TSchema
+ */
+
+/**
+ * @template {TSchema} T
+ * @typedef {import("@sinclair/typebox").Static<T>} Static
+ */
+
+/**
+ * Options of {@link SchemaRegistry.bundle}.
+ *
+ * @typedef {Object} BundleOptions
+ * @property {string} [id] - The `$id` of the bundle.
+ */
+
+/**
+ * A JSON Schema document bundling every registered schema.
+ *
+ * @typedef {Object} SchemaBundle
+ * @property {string}                  $schema - The dialect of the document.
+ * @property {string}                  [$id]   - The `$id` of the document.
+ * @property {Record<string, unknown>} $defs   - The registered schemas, by `$id`.
+ */
@@ -0,0 +1,247 @@
+import { isDeepStrictEqual } from "node:util";
+
+import { TypeCompiler } from "@sinclair/typebox/compiler";
+import { Value } from "@sinclair/typebox/value";
+
+/**
+ * The references used when none are given.
+ *
+ * @type {TSchema[]}
+ */
+const NO_REFERENCES = [];
+
+/**
+ * Caches of compiled validators, by the `$id`s of the references they were compiled with.
+ *
+ * @type {Map<string, ValidatorCache>}
+ */
+const caches = new Map();
+
+/* -------------------------------------------------------------------------- */
+/*                         Class SchemaValidationError                        */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Error thrown when a value doesn't match the schema it's validated with.
+ *
+ * @template {TSchema} [T=TSchema]
+ */
+export class SchemaValidationError extends Error {
+  /**
+   * @param {T}                 schema - The schema the value was validated with.
+   * @param {ValidationIssue[]} issues - The problems found in the value.
+   */
+  constructor(schema, issues) {
+    super(
+      [
+        typeof schema.$id === "string"
+          ? `The value doesn't match the schema ${schema.$id}:`
+          : "The value doesn't match the schema:",
+        formatIssues(issues),
+      ].join("\n"),
+    );
+
+    this.name = "SchemaValidationError";
+
+    /**
+     * The schema the value was validated with.
+     */
+    this.schema = schema;
+
+    /**
+     * The problems found in the value.
+     */
+    this.issues = issues;
+  }
+}
+
+/**
+ * Gets the cache of the validators compiled with the given references. Caches are found
+ * by the `$id`s of the references, and replaced when the references with those `$id`s
+ * changed since the cache was created.
+ *
+ * @param {TSchema[]} references - The references of the validators.
+ * @returns {ValidatorCache}
+ */
+function getCache(references) {
+  const key = JSON.stringify(references.map((reference) => reference.$id));
+  let cache = caches.get(key);
+
+  if (!cache || !isDeepStrictEqual(cache.references, references)) {
+    cache = {
+      references: [...references],
+      bySchema: new WeakMap(),
+      byId: new Map(),
+    };
+    caches.set(key, cache);
+  }
+
+  return cache;
+}
+
+/**
+ * Gets the compiled validator of the given schema, compiling it the first time. Validators
+ * are cached by schema and, when the schema has an `$id`, by that `$id`. A validator found
+ * by `$id` is only reused for a schema deep-equal to the one it was compiled for.
+ *
+ * @template {TSchema} T
+ * @param {T}         schema       - The schema to get the validator of.
+ * @param {TSchema[]} [references] - The schemas referenced by `schema`.
+ * @returns {TypeCheck<T>}
+ */
+export function getValidator(schema, references = NO_REFERENCES) {
+  const cache = getCache(references);
+  const id = typeof schema.$id === "string" ? schema.$id : undefined;
+  const entry = id === undefined ? undefined : cache.byId.get(id);
+  let validator = cache.bySchema.get(schema);
+
+  if (!validator && entry && isDeepStrictEqual(entry.schema, schema)) {
+    validator = entry.validator;
+  }
+
+  if (!validator) {
+    validator = TypeCompiler.Compile(schema, references);
+
+    if (id !== undefined) {
+      cache.byId.set(id, { schema, validator });
+    }
+  }
+
+  cache.bySchema.set(schema, validator);
+
+  return validator;
+}
+
+/**
+ * Formats the given issues as a readable list, one issue per line.
+ *
+ * @param {ValidationIssue[]} issues - The issues to format.
+ * @returns {string}
+ */
+export function formatIssues(issues) {
+  return issues.map((issue) => `  - ${issue.path || "/"}: ${issue.message}.`).join("\n");
+}
+
+/**
+ * Validates a value against a schema.
+ *
+ * @template {TSchema} T
+ * @param {T}         schema       - The schema to validate with.
+ * @param {unknown}   value        - The value to validate.
+ * @param {TSchema[]} [references] - The schemas referenced by `schema`.
+ * @returns {ValidationResult<Static<T>>} The value when it matches the schema, or the
+ *                                        problems found in it when it doesn't.
+ */
+export function validate(schema, value, references = NO_REFERENCES) {
+  const validator = getValidator(schema, references);
+
+  if (validator.Check(value)) {
+    return { success: true, value };
+  }
+
+  const issues = [...validator.Errors(value)].map((error) => {
+    return { path: error.path, message: error.message, value: error.value };
+  });
+
+  return { success: false, issues };
+}
+
+/**
+ * Asserts that a value matches a schema.
+ *
+ * @template {TSchema} T
+ * @param {T}         schema       - The schema to validate with.
+ * @param {unknown}   value        - The value to validate.
+ * @param {TSchema[]} [references] - The schemas referenced by `schema`.
+ * @returns {asserts value is Static<T>}
+ * @throws {SchemaValidationError<T>} When the value doesn't match the schema.
+ */
+export function assert(schema, value, references = NO_REFERENCES) {
+  const result = validate(schema, value, references);
+
+  if (!result.success) {
+    throw new SchemaValidationError(schema, result.issues);
+  }
+}
+
+/**
+ * Parses a value with a schema. The value is cloned and the defaults of the schema are
+ * applied to the clone before validating it, so the given value is never modified. Values
+ * TypeBox can't clone, like class instances, are validated as they are, without defaults.
+ *
+ * @template {TSchema} T
+ * @param {T}         schema       - The schema to parse with.
+ * @param {unknown}   value        - The value to parse.
+ * @param {TSchema[]} [references] - The schemas referenced by `schema`.
+ * @returns {Static<T>} The parsed value.
+ * @throws {SchemaValidationError<T>} When the value doesn't match the schema.
+ */
+export function parse(schema, value, references = NO_REFERENCES) {
+  let clone;
+
+  try {
+    clone = Value.Clone(value);
+  } catch {
+    assert(schema, value, references);
+
+    return value;
+  }
+
+  const parsed = Value.Default(schema, references, clone);
+
+  assert(schema, parsed, references);
+
+  return parsed;
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                   Typings                                  */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * @typedef {import("@sinclair/typebox").TSchema} TSchema
+ */
+
+/**
+ * @template {TSchema} T
+ * @typedef {import("@sinclair/typebox").Static<T>} Static
+ */
+
+/**
+ * @template {TSchema} T
+ * @typedef {import("@sinclair/typebox/compiler").TypeCheck<T>} TypeCheck
+ */
+
+/**
+ * The compiled validators of a single array of references.
+ *
+ * @typedef {Object} ValidatorCache
+ * @property {TSchema[]}                        references - The references the validators
+ *                                                           were compiled with.
+ * @property {WeakMap<TSchema, TypeCheck<any>>} bySchema   - Validators by schema.
+ * @property {Map<string, CachedValidator>}     byId       - Validators by `$id`.
+ */
+
+/**
+ * A validator cached by the `$id` of its schema.
+ *
+ * @typedef {Object} CachedValidator
+ * @property {TSchema}        schema    - The schema the validator was compiled for.
+ * @property {TypeCheck<any>} validator - The compiled validator.
+ */
+
+/**
+ * A problem found when validating a value.
+ *
+ * @typedef {Object} ValidationIssue
+ * @property {string}  path    - The JSON pointer of the invalid value, empty for the root.
+ * @property {string}  message - What's wrong with the value.
+ * @property {unknown} value   - The invalid value.
+ */
+
+/**
+ * The result of {@link validate}.
+ *
+ * @template T
+ * @typedef {{ success: true; value: T } | { success: false; issues: ValidationIssue[] }} ValidationResult
+ */
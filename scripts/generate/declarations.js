@@ -0,0 +1,53 @@
+#!/usr/bin/env node --enable-source-maps --experimental-specifier-resolution=node
+
+import { Command } from "@toridoriv/cliffy";
+
+import * as helpers from "../helpers/index.js";
+
+// eslint-disable-next-line no-unused-vars
+const { logger, inspect, logStaleFile, typebox, schemas, declarations } = helpers;
+
+const declarationsCommand = new Command()
+  .name("generate:declarations")
+  .description(
+    "Generate the TypeScript declarations of the TypeBox schemas exported by a module.",
+  )
+  .arguments("<module:string>")
+  .option("-o --out <path:string>", "Path of the generated declaration file.", {
+    default: "types.d.ts",
+  })
+  .option(
+    "-c --check",
+    "Check that the generated file is up to date, without writing it.",
+  )
+  .action(async function handle(options, module) {
+    logger.info(`Loading the schemas exported by ${module}...`);
+
+    const exported = await schemas.loadSchemas(module);
+    const emitter = new declarations.DeclarationEmitter(exported);
+
+    emitter.issues.forEach((issue) => {
+      logger.warn(`${issue.name}: ${issue.message} It was declared as unknown.`);
+    });
+
+    if (options.check) {
+      const content = await emitter.render(options.out);
+      const diff = typebox.ProgramGenerator.diffWithFile(options.out, content);
+
+      if (diff) {
+        logStaleFile(options.out, diff);
+        logger.error("Run generate:declarations to update the generated file.");
+        process.exitCode = 1;
+      } else {
+        logger.info("The generated file is up to date.");
+      }
+
+      return;
+    }
+
+    logger.info(`Creating ${options.out}...`);
+
+    await emitter.writeToFile(options.out);
+  });
+
+declarationsCommand.parse(process.argv.slice(2));
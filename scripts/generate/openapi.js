@@ -0,0 +1,66 @@
+#!/usr/bin/env node --enable-source-maps --experimental-specifier-resolution=node
+
+import fs from "node:fs";
+import path from "node:path";
+
+import { Command } from "@toridoriv/cliffy";
+
+import * as helpers from "../helpers/index.js";
+
+// eslint-disable-next-line no-unused-vars
+const { logger, inspect, logStaleFile, typebox, openapi } = helpers;
+
+const openapiCommand = new Command()
+  .name("generate:openapi")
+  .description(
+    "Generate the OpenAPI document built by a module, as JSON or as YAML depending on the extension of the output file.",
+  )
+  .arguments("<module:string>")
+  .option("-o --out <path:string>", "Path of the generated document.", {
+    default: "openapi.json",
+  })
+  .option(
+    "-c --check",
+    "Check that the generated document is up to date, without writing it.",
+  )
+  .action(async function handle(options, module) {
+    logger.info(`Loading the OpenAPI document of ${module}...`);
+
+    let document;
+
+    try {
+      document = await openapi.loadDocument(module);
+    } catch (error) {
+      if (error instanceof openapi.OpenApiError) {
+        logger.error(error.message);
+        process.exitCode = 1;
+
+        return;
+      }
+
+      throw error;
+    }
+
+    const content = await openapi.renderDocument(document, options.out);
+
+    if (options.check) {
+      const diff = typebox.ProgramGenerator.diffWithFile(options.out, content);
+
+      if (diff) {
+        logStaleFile(options.out, diff);
+        logger.error("Run generate:openapi to update the generated document.");
+        process.exitCode = 1;
+      } else {
+        logger.info("The generated document is up to date.");
+      }
+
+      return;
+    }
+
+    logger.info(`Creating ${options.out}...`);
+
+    fs.mkdirSync(path.dirname(options.out), { recursive: true });
+    fs.writeFileSync(options.out, content, "utf-8");
+  });
+
+openapiCommand.parse(process.argv.slice(2));
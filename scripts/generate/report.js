@@ -0,0 +1,44 @@
+#!/usr/bin/env node --enable-source-maps --experimental-specifier-resolution=node
+
+import { Command } from "@toridoriv/cliffy";
+
+import * as helpers from "../helpers/index.js";
+
+// eslint-disable-next-line no-unused-vars
+const { logger, inspect, report } = helpers;
+
+const reportCommand = new Command()
+  .name("generate:report")
+  .description(
+    "Report the changes in the TypeBox builder methods and options types between two versions.",
+  )
+  .option(
+    "-f --from <directory:string>",
+    "Root directory of the current TypeBox package.",
+    { default: "node_modules/@sinclair/typebox" },
+  )
+  .option(
+    "-t --to <directory:string>",
+    "Root directory of the TypeBox package to upgrade to, e.g. an extracted tarball.",
+    { required: true },
+  )
+  .option("--json", "Print the report as JSON.")
+  .action(function handle(options) {
+    logger.info(`Comparing ${options.from} with ${options.to}...`);
+
+    const upgradeReport = report.createUpgradeReport(options.from, options.to);
+
+    upgradeReport.diagnostics.forEach((diagnostic) => {
+      const log = diagnostic.category === "error" ? logger.error : logger.warn;
+
+      log.call(logger, diagnostic.message, ...diagnostic.locations);
+    });
+
+    if (options.json) {
+      console.log(JSON.stringify(upgradeReport, null, 2));
+    } else {
+      console.log(report.formatUpgradeReport(upgradeReport));
+    }
+  });
+
+reportCommand.parse(process.argv.slice(2));
@@ -0,0 +1,93 @@
+#!/usr/bin/env node --enable-source-maps --experimental-specifier-resolution=node
+
+import fs from "node:fs";
+import path from "node:path";
+
+import { Command } from "@toridoriv/cliffy";
+
+import * as helpers from "../helpers/index.js";
+
+// eslint-disable-next-line no-unused-vars
+const { logger, inspect, logStaleFile, typebox, schemas } = helpers;
+
+const schemasCommand = new Command()
+  .name("generate:schemas")
+  .description(
+    "Generate a JSON Schema file for every TypeBox schema exported by a module.",
+  )
+  .arguments("<module:string>")
+  .option("-o --out <directory:string>", "Directory of the generated schema files.", {
+    default: "schemas",
+  })
+  .option(
+    "--bundle <path:string>",
+    "Write a single bundle with every schema in its $defs instead of one file per schema.",
+  )
+  .option(
+    "-c --check",
+    "Check that the generated files are up to date, without writing them.",
+  )
+  .action(async function handle(options, module) {
+    logger.info(`Loading the schemas exported by ${module}...`);
+
+    const exported = await schemas.loadSchemas(module);
+
+    if (exported.size === 0) {
+      logger.warn(`${module} doesn't export any TypeBox schema.`);
+    }
+
+    logger.debug(`${exported.size} schemas found.`);
+
+    const files = await schemas.renderSchemaFiles(exported, {
+      out: options.out,
+      bundle: options.bundle ?? false,
+    });
+
+    files.forEach((file) => {
+      file.issues.forEach((issue) => {
+        logger.warn(`${file.path}#${issue.pointer}: ${issue.message} It was left out.`);
+      });
+    });
+    const orphans = options.bundle
+      ? []
+      : schemas.getOrphanSchemaFiles(
+          options.out,
+          files.map((file) => file.path),
+        );
+
+    if (options.check) {
+      logger.info("Checking the generated files...");
+
+      const stale = files.filter((file) => {
+        const diff = typebox.ProgramGenerator.diffWithFile(file.path, file.content);
+
+        if (diff) {
+          logStaleFile(file.path, diff);
+        }
+
+        return diff !== "";
+      });
+
+      orphans.forEach((file) => logger.error(`${file} no longer matches any export.`));
+
+      if (stale.length > 0 || orphans.length > 0) {
+        logger.error("Run generate:schemas to update the generated files.");
+        process.exitCode = 1;
+      } else {
+        logger.info("The generated files are up to date.");
+      }
+
+      return;
+    }
+
+    for (const file of files) {
+      logger.info(`Creating ${file.path}...`);
+
+      fs.mkdirSync(path.dirname(file.path), { recursive: true });
+      fs.writeFileSync(file.path, file.content, "utf-8");
+    }
+
+    orphans.forEach((file) => logger.warn(`${file} no longer matches any export.`));
+  });
+
+schemasCommand.parse(process.argv.slice(2));
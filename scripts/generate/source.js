@@ -0,0 +1,56 @@
+#!/usr/bin/env node --enable-source-maps --experimental-specifier-resolution=node
+
+import path from "node:path";
+
+import { Command } from "@toridoriv/cliffy";
+
+import * as helpers from "../helpers/index.js";
+
+// eslint-disable-next-line no-unused-vars
+const { logger, inspect, typebox, reverse } = helpers;
+
+const sourceCommand = new Command()
+  .name("generate:source")
+  .description(
+    "Generate the JavaScript source code that creates the schemas of JSON Schema files with the SchemaBuilder.",
+  )
+  .arguments("<...files:string>")
+  .option("-o --out <directory:string>", "Directory of the generated source files.", {
+    default: "schemas",
+  })
+  .option("-b --builder <path:string>", "Path of the generated builder module.", {
+    default: typebox.ProgramGenerator.config.out,
+  })
+  .option("--strict", "Fail when a schema can't be created with the builder methods.")
+  .action(async function handle(options, ...files) {
+    let issues = 0;
+
+    for (const file of files) {
+      const out = path.join(
+        options.out,
+        `${path.basename(file).replace(/(\.schema)?\.json$/, "")}.js`,
+      );
+
+      logger.info(`Creating ${out} from ${file}...`);
+
+      const generator = reverse.SchemaSourceGenerator.fromFile(file);
+
+      generator.issues.forEach((issue) => {
+        logger.warn(`${file}${issue.pointer}: ${issue.message}`);
+      });
+
+      issues += generator.issues.length;
+
+      await generator.writeToFile(out, options.builder);
+    }
+
+    if (issues > 0) {
+      logger.warn(`${issues} schemas couldn't be mapped exactly to the builder methods.`);
+    }
+
+    if (options.strict && issues > 0) {
+      process.exitCode = 1;
+    }
+  });
+
+sourceCommand.parse(process.argv.slice(2));
@@ -1,27 +1,308 @@
 #!/usr/bin/env node --enable-source-maps --experimental-specifier-resolution=node
 
+import fs from "node:fs";
+import path from "node:path";
+
 import { Command } from "@toridoriv/cliffy";
 
 import * as helpers from "../helpers/index.js";
 
 // eslint-disable-next-line no-unused-vars
-const { logger, inspect, typebox } = helpers;
+const { logger, inspect, logStaleFile, renderTargetFiles, typebox, config, watch } =
+  helpers;
+
+/**
+ * Path of the Markdown API reference when `--docs` is given without a path.
+ */
+const DEFAULT_DOCS_PATH = "docs/builder.md";
+
+/**
+ * Generates the files of the target of the given generator, or checks that they are up to
+ * date.
+ *
+ * @param {ProgramGenerator} generator - The generator of the target.
+ * @param {boolean}          check     - Whether to only check the generated files.
+ * @returns {Promise<boolean>} Whether the generated files were up to date.
+ */
+async function generate(generator, check) {
+  logger.debug(`${generator.builders.length} builder classes found.`);
+
+  logger.debug(`${generator.methods.length} methods found.`);
+
+  const files = await renderTargetFiles(generator);
+
+  if (check) {
+    logger.info("Checking the generated files...");
+
+    // The provenance manifest isn't checked, since its timestamp changes on every run.
+    const stale = files
+      .filter((file) => file.kind !== "manifest")
+      .filter((file) => {
+        const diff = typebox.ProgramGenerator.diffWithFile(file.path, file.content);
+
+        if (diff) {
+          logStaleFile(file.path, diff);
+        }
+
+        return diff !== "";
+      });
+
+    logDiagnostics(generator);
+
+    return stale.length === 0;
+  }
+
+  for (const file of files) {
+    logger.info(`Creating ${file.path}...`);
+
+    fs.mkdirSync(path.dirname(file.path), { recursive: true });
+    fs.writeFileSync(file.path, file.content, "utf-8");
+  }
+
+  logDiagnostics(generator);
+
+  return true;
+}
+
+/**
+ * Logs the problems found by the given generator. Type references are resolved while
+ * rendering, so it must be called once the files are rendered.
+ *
+ * @param {ProgramGenerator} generator - The generator of the target.
+ */
+function logDiagnostics(generator) {
+  generator.getDiagnostics().forEach((diagnostic) => {
+    const log = diagnostic.category === "error" ? logger.error : logger.warn;
+
+    log.call(logger, diagnostic.message, ...diagnostic.locations);
+  });
+}
+
+/**
+ * Loads the configuration file and resolves its targets, logging the problems found.
+ *
+ * @param {string | undefined}       file      - The path of the configuration file.
+ * @param {Partial<GeneratorConfig>} overrides - Values given from the command line.
+ * @returns {Promise<LoadedTargets | null>} The targets, or `null` when the configuration
+ *                                          is not valid.
+ */
+async function loadTargets(file, overrides) {
+  try {
+    const { source, config: value } = await config.loadConfigFile(file);
+    const targets = await config.resolveTargets(value, overrides, source);
+    const files = [
+      source,
+      ...config.getPluginFiles(/** @type {ConfigFile} */ (value), source),
+    ].filter((path) => fs.existsSync(path));
+
+    return { source, targets, files };
+  } catch (error) {
+    if (error instanceof config.ConfigError) {
+      logger.error(error.message);
+
+      return null;
+    }
+
+    throw error;
+  }
+}
+
+/**
+ * Regenerates the files of the given targets every time their TypeBox root files or
+ * templates change, reusing the TypeScript program of each target between runs.
+ *
+ * @param {GeneratorConfig[]} targets - The targets to watch.
+ * @returns {TargetWatcher[]} The watchers of the targets.
+ */
+function watchTargets(targets) {
+  return targets.map((target) => {
+    return new watch.TargetWatcher(target, {
+      async onChange(generator, change) {
+        if (change.kind !== "initial") {
+          const files = change.files.map((file) => path.relative(process.cwd(), file));
+
+          logger.info(`${files.join(", ")} changed, regenerating ${target.out}...`);
+        }
+
+        await generate(generator, false);
+      },
+      onError(error) {
+        logger.error(`Unable to regenerate ${target.out}.`, error);
+      },
+    });
+  });
+}
 
 const types = new Command()
   .name("generate:types")
-  .description("DESCRIBE_HERE")
-  .action(async function handle() {
-    logger.info("Initializing the program generator...");
+  .description("Generate the SchemaBuilder class from the TypeBox type builders.")
+  .option("--config <path:string>", "Path of the configuration file.")
+  .option("-o --out <path:string>", "Path of the generated builder file.")
+  .option(
+    "-t --template <path:string>",
+    "Path of the template used for the builder file.",
+  )
+  .option(
+    "-b --builder <name:string>",
+    "Name of a TypeBox builder class to generate from.",
+    {
+      collect: true,
+    },
+  )
+  .option("--no-declaration", "Skip the generation of the declaration file.")
+  .option(
+    "--provenance",
+    "Tag every method with its upstream declarations and write a provenance manifest.",
+  )
+  .option("--tests", "Generate a smoke test suite comparing the builder with TypeBox.")
+  .option(
+    "--facades",
+    "Generate the facades of the Value and TypeCompiler namespaces of TypeBox too.",
+  )
+  .option(
+    "--docs [path:string]",
+    `Generate the Markdown API reference too, at ${DEFAULT_DOCS_PATH} unless a path is given.`,
+  )
+  .option(
+    "-c --check",
+    "Check that the generated files are up to date, without writing them.",
+  )
+  .option(
+    "-w --watch",
+    "Regenerate the files when the templates, the TypeBox root files or the configuration change.",
+    {
+      conflicts: ["check"],
+    },
+  )
+  .action(async function handle(options) {
+    logger.info("Loading the configuration...");
 
-    const generator = new typebox.ProgramGenerator();
+    /**
+     * @type {Partial<GeneratorConfig>}
+     */
+    const overrides = {};
 
-    logger.debug(`${generator.builders.length} builder classes found.`);
+    if (options.out) {
+      overrides.out = options.out;
+    }
 
-    logger.debug(`${generator.methods.length} methods found.`);
+    if (options.template) {
+      overrides.template = options.template;
+    }
 
-    logger.info("Creating builder file...");
+    if (options.builder) {
+      overrides.builders = options.builder;
+    }
 
-    generator.writeToFile("./lib/builder.js");
+    if (!options.declaration) {
+      overrides.declaration = false;
+    }
+
+    if (options.provenance) {
+      overrides.provenance = true;
+    }
+
+    if (options.tests) {
+      overrides.tests = true;
+    }
+
+    if (options.facades) {
+      overrides.facades = [...typebox.TYPEBOX_FACADES];
+    }
+
+    if (options.docs) {
+      overrides.docs = options.docs === true ? DEFAULT_DOCS_PATH : options.docs;
+    }
+
+    const loaded = await loadTargets(options.config, overrides);
+
+    if (loaded === null) {
+      process.exitCode = 1;
+
+      return;
+    }
+
+    if (options.watch) {
+      let watchers = watchTargets(loaded.targets);
+      /**
+       * @type {FileWatcher[]}
+       */
+      let configWatchers = [];
+
+      /**
+       * Reloads the configuration every time its file or one of its plugins changes.
+       *
+       * @param {string[]} files - The configuration file and the plugin modules.
+       */
+      const watchConfiguration = (files) => {
+        configWatchers = files.map((file) => {
+          return watch.watchFile(file, async () => {
+            logger.info(`${file} changed, reloading the configuration...`);
+
+            const reloaded = await loadTargets(options.config, overrides);
+
+            if (reloaded !== null) {
+              watchers.forEach((watcher) => watcher.close());
+              configWatchers.forEach((watcher) => watcher.close());
+              watchers = watchTargets(reloaded.targets);
+              watchConfiguration(reloaded.files);
+            }
+          });
+        });
+      };
+
+      watchConfiguration(loaded.files);
+
+      logger.info("Watching for changes...");
+
+      return;
+    }
+
+    const { targets } = loaded;
+    let upToDate = true;
+
+    for (const target of targets) {
+      logger.info(`Initializing the program generator for ${target.out}...`);
+
+      const generator = new typebox.ProgramGenerator(target);
+
+      upToDate = (await generate(generator, Boolean(options.check))) && upToDate;
+    }
+
+    if (options.check && !upToDate) {
+      logger.error("Run generate:types to update the generated files.");
+      process.exitCode = 1;
+    } else if (options.check) {
+      logger.info("The generated files are up to date.");
+    }
   });
 
 types.parse(process.argv.slice(2));
+
+/**
+ * @typedef {import("../helpers/typebox.js").GeneratorConfig} GeneratorConfig
+ */
+
+/**
+ * @typedef {import("../helpers/typebox.js").ProgramGenerator} ProgramGenerator
+ */
+
+/**
+ * @typedef {import("../helpers/watch.js").TargetWatcher} TargetWatcher
+ */
+
+/**
+ * @typedef {import("../helpers/config.js").ConfigFile} ConfigFile
+ */
+
+/**
+ * @typedef {import("typescript").FileWatcher} FileWatcher
+ */
+
+/**
+ * @typedef {Object} LoadedTargets
+ * @property {string}            source  - Where the configuration comes from.
+ * @property {GeneratorConfig[]} targets - The resolved targets.
+ * @property {string[]}          files   - The configuration file and the plugin modules it
+ *                                       loads, which are watched in watch mode.
+ */
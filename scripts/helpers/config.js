@@ -0,0 +1,452 @@
+import fs from "node:fs";
+import path from "node:path";
+
+import { Type } from "@sinclair/typebox";
+import { Value } from "@sinclair/typebox/value";
+
+import { ProgramGenerator } from "./typebox.js";
+import { getUnique, importModule } from "./utils.js";
+
+/**
+ * Names of the configuration files looked up in the current working directory, in order
+ * of precedence.
+ */
+export const CONFIG_FILES = ["typebox.config.js", "typebox.config.json"];
+
+/**
+ * Schema of a name that can be used for a generated method.
+ */
+const Identifier = Type.String({ pattern: "^[A-Za-z_$][\\w$]*$" });
+
+/**
+ * Schema of a single generation target, i.e. a complete {@link GeneratorConfig}.
+ */
+export const TargetSchema = Type.Object(
+  {
+    dir: Type.String({ minLength: 1 }),
+    entry: Type.String({ minLength: 1 }),
+    builders: Type.Array(Type.String({ minLength: 1 }), { minItems: 1 }),
+    rootFiles: Type.Array(Type.String({ minLength: 1 }), { minItems: 1 }),
+    template: Type.String({ minLength: 1 }),
+    declarationTemplate: Type.String({ minLength: 1 }),
+    out: Type.String({ pattern: "\\.m?js$" }),
+    declaration: Type.Boolean(),
+    docs: Type.Union([Type.Literal(false), Type.String({ pattern: "\\.md$" })]),
+    docsTemplate: Type.String({ minLength: 1 }),
+    tests: Type.Boolean(),
+    testTemplate: Type.String({ minLength: 1 }),
+    fluent: Type.Boolean(),
+    facades: Type.Array(
+      Type.Object(
+        {
+          name: Identifier,
+          entry: Type.String({ minLength: 1 }),
+          module: Type.String({ minLength: 1 }),
+          out: Type.String({ pattern: "\\.m?js$" }),
+        },
+        { additionalProperties: false },
+      ),
+    ),
+    facadeTemplate: Type.String({ minLength: 1 }),
+    facadeDeclarationTemplate: Type.String({ minLength: 1 }),
+    provenance: Type.Boolean(),
+    sources: Type.Record(Type.String(), Type.String()),
+    methods: Type.Object(
+      {
+        include: Type.Optional(Type.Array(Type.String())),
+        exclude: Type.Optional(Type.Array(Type.String())),
+        rename: Type.Optional(Type.Record(Type.String(), Identifier)),
+        aliases: Type.Optional(Type.Record(Type.String(), Type.Array(Identifier))),
+      },
+      { additionalProperties: false },
+    ),
+    plugins: Type.Array(
+      Type.Union([Type.String({ minLength: 1 }), Type.Object({ name: Type.String() })]),
+    ),
+  },
+  { additionalProperties: false },
+);
+
+/**
+ * Names of the hooks a plugin can define.
+ *
+ * @type {(keyof import("./typebox.js").PluginHooks)[]}
+ */
+export const PLUGIN_HOOKS = [
+  "buildersCollected",
+  "transformMethod",
+  "beforeRender",
+  "afterFormat",
+];
+
+/**
+ * Schema of the configuration file. Every property of a target can be set at the top
+ * level, and `targets` allows to generate several builders, each one overriding the top
+ * level values.
+ */
+export const ConfigSchema = Type.Object(
+  {
+    ...Type.Partial(TargetSchema).properties,
+    targets: Type.Optional(Type.Array(Type.Partial(TargetSchema), { minItems: 1 })),
+  },
+  { additionalProperties: false },
+);
+
+/**
+ * Error thrown when the configuration of the generator is not valid.
+ */
+export class ConfigError extends Error {
+  /**
+   * @param {string}   source - Where the configuration comes from.
+   * @param {string[]} issues - The problems found in the configuration.
+   */
+  constructor(source, issues) {
+    super(
+      [
+        `Invalid configuration in ${source}:`,
+        ...issues.map((issue) => `  - ${issue}`),
+      ].join("\n"),
+    );
+
+    this.name = "ConfigError";
+
+    /**
+     * The problems found in the configuration.
+     */
+    this.issues = issues;
+  }
+}
+
+/**
+ * Validates the given value against a schema and returns a readable description of each
+ * error found.
+ *
+ * @param {import("@sinclair/typebox").TSchema} schema - The schema to validate with.
+ * @param {unknown}                             value  - The value to validate.
+ * @param {string}                              prefix - Prefix for the error paths.
+ * @returns {string[]}
+ */
+function getSchemaIssues(schema, value, prefix = "") {
+  return [...Value.Errors(schema, value)].map((error) => {
+    return `${prefix}${error.path || "/"}: ${error.message}.`;
+  });
+}
+
+/**
+ * Checks that the paths configured in the given target exist.
+ *
+ * @param {GeneratorConfig} target - The target to check.
+ * @param {string}          prefix - Prefix for the error paths.
+ * @returns {string[]}
+ */
+function getPathIssues(target, prefix = "") {
+  /**
+   * @type {[string, string][]}
+   */
+  const paths = [
+    ["/dir", target.dir],
+    ["/entry", target.entry],
+    ["/template", target.template],
+    ["/declarationTemplate", target.declarationTemplate],
+    ["/docsTemplate", target.docsTemplate],
+    ["/testTemplate", target.testTemplate],
+    ["/facadeTemplate", target.facadeTemplate],
+    ["/facadeDeclarationTemplate", target.facadeDeclarationTemplate],
+    ...target.facades.map((facade, i) => {
+      return /** @type {[string, string]} */ ([`/facades/${i}/entry`, facade.entry]);
+    }),
+    ...target.rootFiles.flatMap((file, i) => {
+      if (file in target.sources) {
+        return [];
+      }
+
+      return [
+        /** @type {[string, string]} */ ([
+          `/rootFiles/${i}`,
+          path.join(target.dir, file),
+        ]),
+      ];
+    }),
+  ];
+
+  return paths
+    .filter(([, value]) => !fs.existsSync(value))
+    .map(([key, value]) => `${prefix}${key}: ${value} does not exist.`);
+}
+
+/**
+ * Checks that the builder classes configured in the given target are declared in its root
+ * files, so an unknown name is reported before the TypeScript program is built.
+ *
+ * @param {BuilderTarget} target - The target to check.
+ * @param {string}        prefix - Prefix for the error paths.
+ * @returns {string[]}
+ */
+function getBuilderIssues(target, prefix = "") {
+  const declared = new Set(
+    target.rootFiles.flatMap((file) => {
+      const location = path.join(target.dir, file);
+      const content =
+        target.sources[file] ??
+        (fs.existsSync(location) ? fs.readFileSync(location, "utf-8") : "");
+
+      return [...content.matchAll(/\bclass\s+([A-Za-z_$][\w$]*)/g)].map(
+        ([, name]) => name,
+      );
+    }),
+  );
+
+  return target.builders.flatMap((name, i) => {
+    if (declared.has(name)) {
+      return [];
+    }
+
+    return [
+      `${prefix}/builders/${i}: The builder class ${name} is not declared in the root files.`,
+    ];
+  });
+}
+
+/**
+ * Gets the absolute path of a plugin given as a relative module path, resolved from the
+ * directory of the configuration file, or from the current working directory when the
+ * configuration doesn't come from a file.
+ *
+ * @param {string} plugin - The module path of the plugin.
+ * @param {string} source - Where the configuration comes from.
+ * @returns {string | undefined} The absolute path, or `undefined` when the plugin is a
+ *                               package name.
+ */
+function resolvePluginPath(plugin, source) {
+  if (!plugin.startsWith(".")) {
+    return undefined;
+  }
+
+  const dir = fs.existsSync(source) ? path.dirname(path.resolve(source)) : process.cwd();
+
+  return path.resolve(dir, plugin);
+}
+
+/**
+ * Gets the absolute paths of the plugins configured as relative module paths, so they
+ * can be watched for changes.
+ *
+ * @param {ConfigFile} config - A valid configuration.
+ * @param {string}     source - Where the configuration comes from.
+ * @returns {string[]}
+ */
+export function getPluginFiles(config, source) {
+  const targets = [config, ...(config.targets ?? [])];
+  const files = targets
+    .flatMap((target) => target.plugins ?? [])
+    .flatMap((plugin) => {
+      const file =
+        typeof plugin === "string" ? resolvePluginPath(plugin, source) : undefined;
+
+      return file === undefined ? [] : [file];
+    });
+
+  return getUnique(files);
+}
+
+/**
+ * Loads the given plugin when it's a module path, and checks that it's a valid plugin.
+ * Plugin modules are loaded again when they change.
+ *
+ * @param {string | GeneratorPlugin} plugin - The plugin or the path of its module.
+ * @param {string}                   key    - The path of the plugin in the configuration.
+ * @param {string}                   source - Where the configuration comes from.
+ * @returns {Promise<GeneratorPlugin | string>} The plugin, or a description of the problem
+ *                                              found when it's not valid.
+ */
+async function loadPlugin(plugin, key, source) {
+  /**
+   * @type {unknown}
+   */
+  let value = plugin;
+
+  if (typeof plugin === "string") {
+    const file = resolvePluginPath(plugin, source);
+
+    try {
+      value = (await (file === undefined ? import(plugin) : importModule(file))).default;
+    } catch (error) {
+      return `${key}: The plugin ${plugin} could not be loaded: ${error}`;
+    }
+  }
+
+  if (
+    typeof value !== "object" ||
+    value === null ||
+    !("name" in value) ||
+    typeof value.name !== "string"
+  ) {
+    return `${key}: Expected a plugin object with a name.`;
+  }
+
+  const loaded = /** @type {GeneratorPlugin} */ (value);
+  const invalidHook = PLUGIN_HOOKS.find((hook) => {
+    return loaded[hook] !== undefined && typeof loaded[hook] !== "function";
+  });
+
+  if (invalidHook !== undefined) {
+    return `${key}: The ${invalidHook} hook of the ${loaded.name} plugin must be a function.`;
+  }
+
+  return loaded;
+}
+
+/**
+ * Loads the configuration file at the given path or, when no path is given, the first of
+ * {@link CONFIG_FILES} found in the current working directory.
+ *
+ * @param {string} [file] - The path of the configuration file.
+ * @returns {Promise<{ source: string; config: unknown }>} The configuration and the
+ *                                                          file it comes from.
+ */
+export async function loadConfigFile(file) {
+  const source = file ?? CONFIG_FILES.find((name) => fs.existsSync(name));
+
+  if (source === undefined) {
+    return { source: "the default configuration", config: {} };
+  }
+
+  if (!fs.existsSync(source)) {
+    throw new ConfigError(source, ["The file does not exist."]);
+  }
+
+  try {
+    if (source.endsWith(".json")) {
+      return { source, config: JSON.parse(fs.readFileSync(source, "utf-8")) };
+    }
+
+    const module = await importModule(source);
+
+    return { source, config: module.default };
+  } catch (error) {
+    throw new ConfigError(source, [`The file could not be loaded: ${error}`]);
+  }
+}
+
+/**
+ * Resolves the generation targets from a configuration object. Each target is made of the
+ * {@link ProgramGenerator.config default configuration}, the top level values of the
+ * configuration, its own values and the overrides given from the command line, in that
+ * order. Plugins given as module paths are loaded, relative paths being resolved from the
+ * directory of the configuration file.
+ *
+ * @param {unknown}                  config      - The configuration to resolve.
+ * @param {Partial<GeneratorConfig>} [overrides] - Values that take precedence over any
+ *                                               configured value.
+ * @param {string}                   [source]    - Where the configuration comes from.
+ * @returns {Promise<GeneratorConfig[]>} The resolved targets.
+ * @throws {ConfigError} When the configuration or the resolved targets are not valid.
+ */
+export async function resolveTargets(
+  config,
+  overrides = {},
+  source = "the configuration",
+) {
+  const issues = getSchemaIssues(ConfigSchema, config);
+
+  if (issues.length > 0) {
+    throw new ConfigError(source, issues);
+  }
+
+  const { targets = [{}], ...base } = /** @type {ConfigFile} */ (config);
+
+  if (overrides.out !== undefined && targets.length > 1) {
+    throw new ConfigError(source, [
+      "The output path can't be overridden when several targets are configured.",
+    ]);
+  }
+
+  /**
+   * @type {GeneratorConfig[]}
+   */
+  const resolved = [];
+
+  for (const [i, target] of targets.entries()) {
+    const prefix = targets.length > 1 ? `/targets/${i}` : "";
+    const merged = { ...ProgramGenerator.config, ...base, ...target, ...overrides };
+    const schemaIssues = getSchemaIssues(TargetSchema, merged, prefix);
+
+    if (schemaIssues.length > 0) {
+      issues.push(...schemaIssues);
+
+      continue;
+    }
+
+    const plugins = await Promise.all(
+      merged.plugins.map((plugin, j) =>
+        loadPlugin(plugin, `${prefix}/plugins/${j}`, source),
+      ),
+    );
+
+    /**
+     * @type {GeneratorConfig}
+     */
+    const resolvedTarget = {
+      ...merged,
+      plugins: plugins.filter(
+        /** @returns {plugin is GeneratorPlugin} */ (plugin) =>
+          typeof plugin !== "string",
+      ),
+    };
+
+    issues.push(...getPathIssues(resolvedTarget, prefix));
+    issues.push(...getBuilderIssues(resolvedTarget, prefix));
+    issues.push(
+      ...plugins.filter(
+        /** @returns {plugin is string} */ (plugin) => typeof plugin === "string",
+      ),
+    );
+
+    resolved.push(Object.freeze(resolvedTarget));
+  }
+
+  if (issues.length > 0) {
+    throw new ConfigError(source, issues);
+  }
+
+  return resolved;
+}
+
+/**
+ * Loads the configuration file and resolves its generation targets.
+ *
+ * @param {string}                   [file]      - The path of the configuration file.
+ * @param {Partial<GeneratorConfig>} [overrides] - Values that take precedence over any
+ *                                               configured value.
+ * @returns {Promise<GeneratorConfig[]>} The resolved targets.
+ * @throws {ConfigError} When the configuration can't be loaded or is not valid.
+ */
+export async function loadTargets(file, overrides = {}) {
+  const { source, config } = await loadConfigFile(file);
+
+  return resolveTargets(config, overrides, source);
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                   Typings                                  */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * @typedef {import("./typebox.js").GeneratorConfig} GeneratorConfig
+ */
+
+/**
+ * The values of a target that tell which builder classes it can generate from.
+ *
+ * @typedef {Pick<GeneratorConfig, "dir" | "builders" | "rootFiles" | "sources">} BuilderTarget
+ */
+
+/**
+ * @typedef {import("./typebox.js").GeneratorPlugin} GeneratorPlugin
+ */
+
+/**
+ * The content of a configuration file.
+ *
+ * @typedef {import("@sinclair/typebox").Static<typeof ConfigSchema>} ConfigFile
+ */
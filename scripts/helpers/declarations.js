@@ -0,0 +1,472 @@
+import fs from "node:fs";
+import path from "node:path";
+
+import { Hint, Kind, OptionalKind, ReadonlyKind } from "@sinclair/typebox";
+
+import { SchemaSourceGenerator } from "./reverse.js";
+import { ProgramGenerator, TEMPLATES_DIR } from "./typebox.js";
+
+/**
+ * TypeScript types of the schemas that don't have any parameter, by kind.
+ *
+ * @type {Record<string, string>}
+ */
+const PRIMITIVE_TYPES = {
+  Any: "any",
+  Unknown: "unknown",
+  Never: "never",
+  Null: "null",
+  Undefined: "undefined",
+  Void: "void",
+  String: "string",
+  Number: "number",
+  Integer: "number",
+  Boolean: "boolean",
+  BigInt: "bigint",
+  Symbol: "symbol",
+  Date: "Date",
+  Uint8Array: "Uint8Array",
+  RegExp: "string",
+  TemplateLiteral: "string",
+  Not: "unknown",
+};
+
+/**
+ * Key patterns of the `Record` schemas whose keys are numbers.
+ */
+const NUMBER_KEY_PATTERNS = ["^(0|[1-9][0-9]*)$", "^(0|[1-9][0-9]*)(\\.[0-9]+)?$"];
+
+/**
+ * Precedence of the type operators, used to decide when a type needs parentheses.
+ */
+const Precedence = Object.freeze({
+  function: 0,
+  union: 1,
+  intersection: 2,
+  primary: 3,
+});
+
+/* -------------------------------------------------------------------------- */
+/*                          Class DeclarationEmitter                          */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Prints the TypeScript declarations equivalent to the given TypeBox schemas, so their
+ * types can be used without inferring them with `Static`.
+ *
+ * Object schemas become interfaces and any other schema a type alias. Schemas with an
+ * `$id` are referenced by name wherever they appear: the exported ones by their export
+ * name and the nested ones, like the recursive schemas, through an alias of their own.
+ */
+export class DeclarationEmitter {
+  /**
+   * Template used to generate the declaration file.
+   */
+  static template = path.join(TEMPLATES_DIR, "declarations.mustache");
+
+  /**
+   * The declarations to print, in order.
+   *
+   * @type {EmittedDeclaration[]}
+   */
+  declarations = [];
+
+  /**
+   * The schemas that have no TypeScript equivalent, printed as `unknown`.
+   *
+   * @type {{ name: string; message: string }[]}
+   */
+  issues = [];
+
+  /**
+   * Names of the declarations, by the `$id` of their schema.
+   *
+   * @type {Map<string, string>}
+   */
+  #names = new Map();
+
+  /**
+   * Names of the declarations of the given schemas, which the nested ones can't take.
+   *
+   * @type {Set<string>}
+   */
+  #exports = new Set();
+
+  /**
+   * The nested schemas with an `$id` found in the given schemas, by `$id`, so a `Ref` can
+   * be declared before the walk reaches the schema it points to.
+   *
+   * @type {Map<string, TSchema>}
+   */
+  #nested = new Map();
+
+  /**
+   * Nested schemas with an `$id` waiting to be declared.
+   *
+   * @type {{ name: string; schema: TSchema }[]}
+   */
+  #pending = [];
+
+  /**
+   * The name of the declaration being emitted.
+   *
+   * @type {string}
+   */
+  #current = "";
+
+  /**
+   * @param {Map<string, TSchema>} schemas - The schemas to declare, by name.
+   */
+  constructor(schemas) {
+    this.#exports = new Set(schemas.keys());
+
+    for (const [name, schema] of schemas) {
+      if (typeof schema.$id === "string" && !this.#names.has(schema.$id)) {
+        this.#names.set(schema.$id, name);
+      }
+    }
+
+    schemas.forEach((schema) => this.#collect(schema));
+
+    for (const [name, schema] of schemas) {
+      this.#declare(name, schema);
+
+      while (this.#pending.length > 0) {
+        const nested = /** @type {{ name: string; schema: TSchema }} */ (
+          this.#pending.shift()
+        );
+
+        this.#declare(nested.name, nested.schema);
+      }
+    }
+  }
+
+  /**
+   * Records the nested schemas with an `$id` found in the given value.
+   *
+   * @param {unknown} value - A schema or any value inside one.
+   */
+  #collect(value) {
+    if (typeof value !== "object" || value === null) {
+      return;
+    }
+
+    const schema = /** @type {TSchema} */ (value);
+
+    if (
+      Kind in schema &&
+      schema[Kind] !== "This" &&
+      typeof schema.$id === "string" &&
+      !this.#names.has(schema.$id) &&
+      !this.#nested.has(schema.$id)
+    ) {
+      this.#nested.set(schema.$id, schema);
+    }
+
+    Object.values(value).forEach((item) => this.#collect(item));
+  }
+
+  /**
+   * Adds the declaration of a schema.
+   *
+   * @param {string}  name   - The name of the declaration.
+   * @param {TSchema} schema - The schema to declare.
+   */
+  #declare(name, schema) {
+    this.#current = name;
+
+    const comment = SchemaSourceGenerator.renderComment(schema.description);
+    const isInterface =
+      schema[Kind] === "Object" &&
+      schema[OptionalKind] === undefined &&
+      schema[ReadonlyKind] === undefined;
+    const declaration = isInterface
+      ? `export interface ${name} ${this.#emitObject(schema)}`
+      : `export type ${name} = ${this.#emit(schema, true)[0]};`;
+
+    this.declarations.push({ name, comment, declaration });
+  }
+
+  /**
+   * Gets the name of the declaration of a nested schema with an `$id`, queuing its
+   * declaration the first time.
+   *
+   * @param {TSchema} schema - The nested schema.
+   * @returns {string}
+   */
+  #getNestedName(schema) {
+    const id = /** @type {string} */ (schema.$id);
+    const existing = this.#names.get(id);
+
+    if (existing !== undefined) {
+      return existing;
+    }
+
+    const base =
+      typeof schema.title === "string"
+        ? SchemaSourceGenerator.toIdentifier(schema.title)
+        : schema[Hint] === "Recursive"
+          ? `${this.#current}Node`
+          : SchemaSourceGenerator.toIdentifier(id);
+    const taken = new Set([...this.#exports, ...this.#names.values()]);
+    let name = base;
+
+    for (let i = 2; taken.has(name); i++) {
+      name = `${base}${i}`;
+    }
+
+    this.#names.set(id, name);
+    this.#pending.push({ name, schema });
+
+    return name;
+  }
+
+  /**
+   * Records a schema without TypeScript equivalent.
+   *
+   * @param {string} message - Why the schema can't be printed.
+   * @returns {string} The type printed instead.
+   */
+  #report(message) {
+    this.issues.push({ name: this.#current, message });
+
+    return "unknown";
+  }
+
+  /**
+   * Prints the type of a schema.
+   *
+   * @param {TSchema} schema - The schema to print.
+   * @param {boolean} [root] - Whether the schema is the one being declared.
+   * @returns {[string, number]} The type and its precedence.
+   */
+  #emit(schema, root = false) {
+    if (!root && typeof schema.$id === "string" && schema[Kind] !== "This") {
+      return [this.#getNestedName(schema), Precedence.primary];
+    }
+
+    const kind = schema[Kind];
+
+    if (kind in PRIMITIVE_TYPES) {
+      return [PRIMITIVE_TYPES[kind], Precedence.primary];
+    }
+
+    switch (kind) {
+      case "Literal":
+        return [JSON.stringify(schema.const), Precedence.primary];
+      case "Array":
+        return [`${this.#wrap(schema.items, Precedence.primary)}[]`, Precedence.primary];
+      case "Tuple":
+        return [`[${this.#emitList(schema.items ?? [])}]`, Precedence.primary];
+      case "Object":
+        return [this.#emitObject(schema), Precedence.primary];
+      case "Record":
+        return [this.#emitRecord(schema), Precedence.primary];
+      case "Union":
+        return this.#emitOperator(schema.anyOf, " | ", Precedence.union);
+      case "Intersect":
+        return this.#emitOperator(schema.allOf, " & ", Precedence.intersection);
+      case "Promise":
+        return [`Promise<${this.#emit(schema.item)[0]}>`, Precedence.primary];
+      case "Iterator":
+        return [`IterableIterator<${this.#emit(schema.items)[0]}>`, Precedence.primary];
+      case "AsyncIterator":
+        return [
+          `AsyncIterableIterator<${this.#emit(schema.items)[0]}>`,
+          Precedence.primary,
+        ];
+      case "Function":
+      case "Constructor":
+        return [this.#emitFunction(schema), Precedence.function];
+      case "Ref":
+      case "This":
+        return [this.#emitReference(schema), Precedence.primary];
+      default:
+        return [
+          this.#report(`Schemas of kind ${String(kind)} are not supported.`),
+          Precedence.primary,
+        ];
+    }
+  }
+
+  /**
+   * Prints the type of a schema, wrapped in parentheses when its precedence is lower than
+   * the given one.
+   *
+   * @param {TSchema} schema     - The schema to print.
+   * @param {number}  precedence - The precedence of the surrounding type.
+   * @returns {string}
+   */
+  #wrap(schema, precedence) {
+    const [type, own] = this.#emit(schema);
+
+    return own < precedence ? `(${type})` : type;
+  }
+
+  /**
+   * Prints the types of a list of schemas, separated by commas.
+   *
+   * @param {TSchema[]} schemas - The schemas to print.
+   * @returns {string}
+   */
+  #emitList(schemas) {
+    return schemas.map((schema) => this.#emit(schema)[0]).join(", ");
+  }
+
+  /**
+   * Prints a union or an intersection.
+   *
+   * @param {TSchema[]} schemas    - The members of the type.
+   * @param {string}    operator   - The operator joining them.
+   * @param {number}    precedence - The precedence of the operator.
+   * @returns {[string, number]}
+   */
+  #emitOperator(schemas, operator, precedence) {
+    if (schemas.length === 0) {
+      return [operator === " | " ? "never" : "unknown", Precedence.primary];
+    }
+
+    if (schemas.length === 1) {
+      return this.#emit(schemas[0]);
+    }
+
+    const members = schemas.map((schema) => this.#wrap(schema, precedence + 1));
+
+    return [members.join(operator), precedence];
+  }
+
+  /**
+   * Prints an object type, with a property signature per property. A schema of the
+   * additional properties becomes an index signature, whose type includes the types of
+   * the properties, as TypeScript requires.
+   *
+   * @param {TSchema} schema - The object schema.
+   * @returns {string}
+   */
+  #emitObject(schema) {
+    const required = new Set(schema.required ?? []);
+    /**
+     * @type {string[]}
+     */
+    const types = [];
+    const members = Object.entries(schema.properties ?? {}).map(([name, property]) => {
+      const comment = SchemaSourceGenerator.renderComment(property.description);
+      const key = /^[A-Za-z_$][\w$]*$/.test(name) ? name : JSON.stringify(name);
+      const readonly = property[ReadonlyKind] === "Readonly" ? "readonly " : "";
+      const optional = required.has(name) ? "" : "?";
+      const [type, precedence] = this.#emit(property);
+
+      types.push(precedence < Precedence.union ? `(${type})` : type);
+
+      if (optional) {
+        types.push("undefined");
+      }
+
+      return `${comment ? `${comment}\n` : ""}${readonly}${key}${optional}: ${type};`;
+    });
+    const additional = schema.additionalProperties;
+
+    if (typeof additional === "object" && additional !== null) {
+      const values = [this.#wrap(additional, Precedence.union), ...types];
+
+      members.push(`[key: string]: ${[...new Set(values)].join(" | ")};`);
+    }
+
+    return members.length === 0 ? "{}" : `{\n${members.join("\n")}\n}`;
+  }
+
+  /**
+   * Prints a record type, keyed by numbers or strings depending on its key pattern.
+   *
+   * @param {TSchema} schema - The record schema.
+   * @returns {string}
+   */
+  #emitRecord(schema) {
+    const [[pattern, value]] = Object.entries(schema.patternProperties ?? { "": {} });
+    const key = NUMBER_KEY_PATTERNS.includes(pattern) ? "number" : "string";
+
+    return `Record<${key}, ${this.#emit(/** @type {TSchema} */ (value))[0]}>`;
+  }
+
+  /**
+   * Prints a function or a constructor type.
+   *
+   * @param {TSchema} schema - The function or constructor schema.
+   * @returns {string}
+   */
+  #emitFunction(schema) {
+    const parameters = schema.parameters.map(
+      (/** @type {TSchema} */ parameter, /** @type {number} */ i) => {
+        return `arg${i}: ${this.#emit(parameter)[0]}`;
+      },
+    );
+    const prefix = schema[Kind] === "Constructor" ? "new " : "";
+
+    return `${prefix}(${parameters.join(", ")}) => ${this.#emit(schema.returns)[0]}`;
+  }
+
+  /**
+   * Prints the name of the declaration a `Ref` or `This` schema points to.
+   *
+   * @param {TSchema} schema - The reference.
+   * @returns {string}
+   */
+  #emitReference(schema) {
+    const nested = this.#nested.get(schema.$ref);
+    const name = nested ? this.#getNestedName(nested) : this.#names.get(schema.$ref);
+
+    if (name === undefined) {
+      return this.#report(`The referenced schema ${schema.$ref} is not declared.`);
+    }
+
+    return name;
+  }
+
+  /**
+   * Renders the declaration file and formats it using Prettier, without writing anything.
+   *
+   * @param {string} file - The file path the content is meant for, used to resolve the
+   *                      Prettier configuration.
+   * @returns {Promise<string>} The formatted content.
+   */
+  async render(file) {
+    const template = fs.readFileSync(DeclarationEmitter.template, "utf-8");
+    const content = ProgramGenerator.renderTemplate(template, {
+      declarations: this.declarations,
+    });
+
+    return ProgramGenerator.format(content, file);
+  }
+
+  /**
+   * Writes the rendered declaration file to the given file path, creating its directory
+   * when needed.
+   *
+   * @param {string} file - The file path to write the content to.
+   * @returns {Promise<void>}
+   */
+  async writeToFile(file) {
+    const content = await this.render(file);
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+
+    return fs.writeFileSync(file, content, "utf-8");
+  }
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                   Typings                                  */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * @typedef {import("@sinclair/typebox").TSchema} TSchema
+ */
+
+/**
+ * A declaration printed by a {@link DeclarationEmitter}.
+ *
+ * @typedef {Object} EmittedDeclaration
+ * @property {string} name        - The name of the declared type.
+ * @property {string} comment     - The JSDoc comment of the declaration, if any.
+ * @property {string} declaration - The declaration itself.
+ */
@@ -0,0 +1,51 @@
+import fs from "node:fs";
+import path from "node:path";
+
+import { generate } from "./generate.js";
+
+/**
+ * Directory containing the declaration files used as generator fixtures. Each one
+ * declares a `FixtureBuilder` class, and imports TypeBox as if it was one of its root
+ * files.
+ */
+export const FIXTURES_DIR = "fixtures/generator";
+
+/**
+ * Directory containing the rendered output of every fixture.
+ */
+export const SNAPSHOTS_DIR = path.join(FIXTURES_DIR, "__snapshots__");
+
+/**
+ * Gets the names of the available fixtures, without their extension.
+ *
+ * @returns {string[]}
+ */
+export function getFixtureNames() {
+  return fs
+    .readdirSync(FIXTURES_DIR)
+    .filter((file) => file.endsWith(".d.mts"))
+    .map((file) => file.replace(/\.d\.mts$/, ""))
+    .sort();
+}
+
+/**
+ * Renders the builder and declaration files of the given fixture. The fixture is loaded
+ * as an in-memory root file of the TypeBox type directory, so its imports resolve like
+ * the ones of the upstream builders.
+ *
+ * @param {string} name - The name of the fixture, without its extension.
+ * @returns {Promise<import("./generate.js").GenerateResult>} The rendered files, meant to
+ *                                                           be written to the
+ *                                                           {@link SNAPSHOTS_DIR}.
+ */
+export async function renderFixture(name) {
+  const file = `${name}.d.mts`;
+
+  return generate({
+    builders: ["FixtureBuilder"],
+    rootFiles: [file],
+    sources: { [file]: fs.readFileSync(path.join(FIXTURES_DIR, file), "utf-8") },
+    out: path.join(SNAPSHOTS_DIR, `${name}.js`),
+    facades: [],
+  });
+}
@@ -0,0 +1,136 @@
+import { resolveTargets } from "./config.js";
+import { ProgramGenerator } from "./typebox.js";
+
+/**
+ * Generates the builder files described by the given options, without touching the disk.
+ * The options take the same shape as a configuration file: any value of the
+ * {@link ProgramGenerator.config default configuration} can be overridden, and `targets`
+ * allows to generate several builders at once.
+ *
+ * @example
+ * ```js
+ * const { files, diagnostics } = await generate({ builders: ["JsonTypeBuilder"] });
+ * ```
+ *
+ * @param {GenerateOptions} [options] - What to generate.
+ * @returns {Promise<GenerateResult>} The rendered and formatted files, along with the
+ *                                    problems found while generating them.
+ * @throws {import("./config.js").ConfigError} When the options are not valid.
+ */
+export async function generate(options = {}) {
+  const targets = await resolveTargets(options, {}, "the generate options");
+  /**
+   * @type {GenerateResult}
+   */
+  const result = { files: [], diagnostics: [] };
+
+  for (const target of targets) {
+    const generator = new ProgramGenerator(target);
+
+    result.files.push(...(await renderTargetFiles(generator)));
+    result.diagnostics.push(...generator.getDiagnostics());
+  }
+
+  return result;
+}
+
+/**
+ * Renders every file of the target of the given generator, without touching the disk: the
+ * builder, followed by its declaration file, the facades, the provenance manifest, the
+ * smoke tests and the API reference, depending on the configuration of the target.
+ *
+ * @param {ProgramGenerator} generator - The generator of the target.
+ * @returns {Promise<GeneratedFile[]>} The rendered and formatted files.
+ */
+export async function renderTargetFiles(generator) {
+  const target = generator.config;
+  /**
+   * @type {GeneratedFile[]}
+   */
+  const files = [
+    { kind: "builder", path: target.out, content: await generator.render(target.out) },
+  ];
+
+  if (target.declaration) {
+    const path = ProgramGenerator.getDeclarationPath(target.out);
+
+    files.push({
+      kind: "declaration",
+      path,
+      content: await generator.renderDeclaration(path),
+    });
+  }
+
+  for (const facade of generator.facades) {
+    files.push({
+      kind: "facade",
+      path: facade.out,
+      content: await generator.renderFacade(facade, facade.out),
+    });
+
+    if (target.declaration) {
+      const path = ProgramGenerator.getDeclarationPath(facade.out);
+
+      files.push({
+        kind: "declaration",
+        path,
+        content: await generator.renderFacadeDeclaration(facade, path),
+      });
+    }
+  }
+
+  if (target.provenance) {
+    const path = ProgramGenerator.getManifestPath(target.out);
+
+    files.push({ kind: "manifest", path, content: await generator.renderManifest(path) });
+  }
+
+  if (target.tests) {
+    const path = ProgramGenerator.getTestPath(target.out);
+
+    files.push({ kind: "tests", path, content: await generator.renderTests(path) });
+  }
+
+  if (target.docs) {
+    files.push({
+      kind: "docs",
+      path: target.docs,
+      content: await generator.renderDocumentation(target.docs),
+    });
+  }
+
+  return files;
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                   Typings                                  */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * The options of {@link generate}.
+ *
+ * @typedef {import("./config.js").ConfigFile} GenerateOptions
+ */
+
+/**
+ * A file rendered by {@link renderTargetFiles}.
+ *
+ * @typedef {Object} GeneratedFile
+ * @property {GeneratedFileKind} kind    - What the file holds.
+ * @property {string}            path    - The path the file is meant to be written to.
+ * @property {string}            content - The content of the file.
+ */
+
+/**
+ * @typedef {"builder" | "declaration" | "facade" | "manifest" | "tests" | "docs"} GeneratedFileKind
+ */
+
+/**
+ * The result of {@link generate}.
+ *
+ * @typedef {Object} GenerateResult
+ * @property {GeneratedFile[]} files
+ * The generated files, with the path they are meant to be written to.
+ * @property {import("./typebox.js").GeneratorDiagnostic[]} diagnostics
+ * The problems found while generating the files.
+ */
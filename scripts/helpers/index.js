@@ -1,2 +1,11 @@
+export * as config from "./config.js";
+export * as declarations from "./declarations.js";
+export * as fixtures from "./fixtures.js";
+export * from "./generate.js";
+export * as openapi from "./openapi.js";
+export * as report from "./report.js";
+export * as reverse from "./reverse.js";
+export * as schemas from "./schemas.js";
 export * as typebox from "./typebox.js";
 export * from "./utils.js";
+export * as watch from "./watch.js";
@@ -0,0 +1,56 @@
+import YAML from "yaml";
+
+import { OpenApiBuilder, OpenApiError } from "../../lib/openapi.js";
+import { ProgramGenerator } from "./typebox.js";
+import { importModule } from "./utils.js";
+
+export { OpenApiError };
+
+/**
+ * Names of the exports looked up for the OpenAPI document of a module, in order of
+ * precedence.
+ */
+export const DOCUMENT_EXPORTS = ["default", "openapi"];
+
+/**
+ * Imports the given module and gets the OpenAPI document it exports, building it when the
+ * module exports an {@link OpenApiBuilder}.
+ *
+ * @param {string} file - The path of the module.
+ * @returns {Promise<Record<string, unknown>>} The OpenAPI document.
+ * @throws {Error} When the module doesn't export a document nor a builder.
+ * @throws {import("../../lib/openapi.js").OpenApiError} When the document can't be built.
+ */
+export async function loadDocument(file) {
+  const module = await importModule(file);
+  const name = DOCUMENT_EXPORTS.find((key) => module[key] !== undefined);
+  const value = name === undefined ? undefined : module[name];
+
+  if (value instanceof OpenApiBuilder) {
+    return value.build();
+  }
+
+  if (typeof value !== "object" || value === null || !("openapi" in value)) {
+    throw new Error(
+      `${file} must export an OpenApiBuilder or an OpenAPI document as ${DOCUMENT_EXPORTS.join(" or ")}.`,
+    );
+  }
+
+  return /** @type {Record<string, unknown>} */ (value);
+}
+
+/**
+ * Renders the given OpenAPI document as YAML when the given path has a `.yaml` or `.yml`
+ * extension, and as JSON otherwise, formatted with Prettier.
+ *
+ * @param {Record<string, unknown>} document - The document to render.
+ * @param {string}                  file     - The file path the content is meant for.
+ * @returns {Promise<string>} The formatted content.
+ */
+export async function renderDocument(document, file) {
+  const content = /\.ya?ml$/.test(file)
+    ? YAML.stringify(document)
+    : JSON.stringify(document);
+
+  return ProgramGenerator.format(content, file);
+}
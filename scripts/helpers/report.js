@@ -0,0 +1,188 @@
+import fs from "node:fs";
+import path from "node:path";
+
+import { ProgramGenerator } from "./typebox.js";
+import * as utils from "./utils.js";
+
+/**
+ * Directories, relative to the package root, where the different TypeBox versions keep
+ * their ES module declarations.
+ */
+export const PACKAGE_LAYOUTS = ["build/import", "build/esm"];
+
+/**
+ * Creates the configuration of a {@link ProgramGenerator} that reads the declarations of
+ * the TypeBox package found at the given directory, whatever its
+ * {@link PACKAGE_LAYOUTS layout} is.
+ *
+ * The methods aren't wrapped as fluent schemas, so the report compares the signatures
+ * TypeBox declares.
+ *
+ * @param {string} root - The root directory of the TypeBox package, the one containing
+ *                      its `package.json`.
+ * @returns {import("./typebox.js").GeneratorConfig}
+ * @throws {Error} When the package has none of the supported layouts.
+ */
+export function getPackageConfig(root) {
+  const layout = PACKAGE_LAYOUTS.find((dir) =>
+    fs.existsSync(path.join(root, dir, "index.d.mts")),
+  );
+
+  if (layout === undefined) {
+    throw new Error(
+      `Unsupported layout for TypeBox ${getPackageVersion(root)} at ${root}: expected the ES module declarations in ${PACKAGE_LAYOUTS.join(" or ")}.`,
+    );
+  }
+
+  return {
+    ...ProgramGenerator.config,
+    fluent: false,
+    dir: path.join(root, layout, "type/type"),
+    entry: path.join(root, layout, "index.d.mts"),
+    methods: {},
+    plugins: [],
+    facades: [],
+  };
+}
+
+/**
+ * Reads the version of the TypeBox package found at the given directory.
+ *
+ * @param {string} root - The root directory of the TypeBox package.
+ * @returns {string} The version, or `"unknown"` when there's no readable `package.json`.
+ */
+export function getPackageVersion(root) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(root, "package.json"), "utf-8")).version;
+  } catch {
+    return "unknown";
+  }
+}
+
+/**
+ * Lists the items of `after` that are not in `before`.
+ *
+ * @param {string[]} before
+ * @param {string[]} after
+ * @returns {string[]}
+ */
+function getAdded(before, after) {
+  return after.filter((item) => !before.includes(item));
+}
+
+/**
+ * Compares the builder methods and the options types extracted from two TypeBox
+ * packages.
+ *
+ * @param {string} fromRoot - The root directory of the current TypeBox package.
+ * @param {string} toRoot   - The root directory of the TypeBox package to upgrade to.
+ * @returns {UpgradeReport}
+ */
+export function createUpgradeReport(fromRoot, toRoot) {
+  const from = new ProgramGenerator(getPackageConfig(fromRoot));
+  const to = new ProgramGenerator(getPackageConfig(toRoot));
+  const fromNames = from.methods.map(utils.pickProperty("name"));
+  const toNames = to.methods.map(utils.pickProperty("name"));
+  /**
+   * @type {UpgradeReport["methods"]["changed"]}
+   */
+  const changed = [];
+
+  from.methods.forEach((method) => {
+    const target = to.methods.find((m) => m.name === method.name);
+
+    if (target === undefined) {
+      return;
+    }
+
+    const before = method.getSignatures();
+    const after = target.getSignatures();
+    const added = getAdded(before, after);
+    const removed = getAdded(after, before);
+
+    if (added.length > 0 || removed.length > 0) {
+      changed.push({ name: method.name, added, removed });
+    }
+  });
+
+  return {
+    from: { root: fromRoot, version: getPackageVersion(fromRoot) },
+    to: { root: toRoot, version: getPackageVersion(toRoot) },
+    methods: {
+      added: getAdded(fromNames, toNames),
+      removed: getAdded(toNames, fromNames),
+      changed,
+    },
+    options: {
+      added: getAdded(from.optionTypeNames, to.optionTypeNames),
+      removed: getAdded(to.optionTypeNames, from.optionTypeNames),
+    },
+    diagnostics: [...from.getDiagnostics(), ...to.getDiagnostics()],
+  };
+}
+
+/**
+ * Formats the given report as human readable text.
+ *
+ * @param {UpgradeReport} report - The report to format.
+ * @returns {string}
+ */
+export function formatUpgradeReport(report) {
+  const lines = [`TypeBox ${report.from.version} → ${report.to.version}`, "", "Methods"];
+  /**
+   * @param {string}   title
+   * @param {string[]} items
+   * @param {string}   marker
+   */
+  const pushList = (title, items, marker) => {
+    lines.push(`  ${title} (${items.length})`);
+    lines.push(...items.map((item) => `    ${marker} ${item}`));
+  };
+
+  pushList("Added", report.methods.added, "+");
+  pushList("Removed", report.methods.removed, "-");
+
+  lines.push(`  Changed overloads (${report.methods.changed.length})`);
+
+  report.methods.changed.forEach((change) => {
+    lines.push(`    ${change.name}`);
+    lines.push(...change.removed.map((signature) => `      - ${signature}`));
+    lines.push(...change.added.map((signature) => `      + ${signature}`));
+  });
+
+  lines.push("", "Options types");
+
+  pushList("Added", report.options.added, "+");
+  pushList("Removed", report.options.removed, "-");
+
+  return lines.join("\n");
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                   Typings                                  */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * The changes found between two TypeBox packages.
+ *
+ * @typedef {Object} UpgradeReport
+ * @property {{ root: string; version: string }} from
+ * The current TypeBox package.
+ * @property {{ root: string; version: string }} to
+ * The TypeBox package to upgrade to.
+ * @property {{ added: string[]; removed: string[]; changed: MethodChange[] }} methods
+ * The builder methods added, removed, or whose overloads changed.
+ * @property {{ added: string[]; removed: string[] }} options
+ * The options types added or removed.
+ * @property {import("./typebox.js").GeneratorDiagnostic[]} diagnostics
+ * The problems found while extracting the methods of both packages.
+ */
+
+/**
+ * The overloads of a method that changed between two TypeBox packages.
+ *
+ * @typedef {Object} MethodChange
+ * @property {string}   name    - The name of the method.
+ * @property {string[]} added   - The signatures only found in the new package.
+ * @property {string[]} removed - The signatures only found in the current package.
+ */
@@ -0,0 +1,972 @@
+import fs from "node:fs";
+import path from "node:path";
+
+import { FormatRegistry } from "@sinclair/typebox";
+
+import { ProgramGenerator, TEMPLATES_DIR } from "./typebox.js";
+import * as utils from "./utils.js";
+
+/**
+ * Keywords that only describe a schema. They are passed as options to every builder
+ * method.
+ */
+const ANNOTATION_KEYWORDS = [
+  "$id",
+  "$comment",
+  "title",
+  "description",
+  "default",
+  "examples",
+  "deprecated",
+  "readOnly",
+  "writeOnly",
+];
+
+/**
+ * Keywords of the root schema that are handled by {@link SchemaSourceGenerator} itself.
+ */
+const ROOT_KEYWORDS = ["$schema", "$defs", "definitions"];
+
+/**
+ * Keywords supported for each JSON Schema type, besides `type` itself.
+ *
+ * @type {Record<string, string[]>}
+ */
+const TYPE_KEYWORDS = {
+  string: [
+    "minLength",
+    "maxLength",
+    "pattern",
+    "format",
+    "contentEncoding",
+    "contentMediaType",
+  ],
+  number: ["minimum", "maximum", "exclusiveMinimum", "exclusiveMaximum", "multipleOf"],
+  integer: ["minimum", "maximum", "exclusiveMinimum", "exclusiveMaximum", "multipleOf"],
+  boolean: [],
+  null: [],
+  array: [
+    "items",
+    "prefixItems",
+    "additionalItems",
+    "minItems",
+    "maxItems",
+    "uniqueItems",
+    "contains",
+    "minContains",
+    "maxContains",
+  ],
+  object: [
+    "properties",
+    "required",
+    "additionalProperties",
+    "minProperties",
+    "maxProperties",
+  ],
+};
+
+/**
+ * Builder methods creating the schema of each JSON Schema type.
+ *
+ * @type {Record<string, string>}
+ */
+const TYPE_METHODS = {
+  string: "String",
+  number: "Number",
+  integer: "Integer",
+  boolean: "Boolean",
+  null: "Null",
+};
+
+/**
+ * Identifiers the exported schemas can't be named after: the builder imported by the
+ * generated code, the parameter of its `Type.Recursive` callbacks and the reserved words
+ * of JavaScript.
+ */
+const RESERVED_IDENTIFIERS = [
+  "Type",
+  "This",
+  "arguments",
+  "await",
+  "break",
+  "case",
+  "catch",
+  "class",
+  "const",
+  "continue",
+  "debugger",
+  "default",
+  "delete",
+  "do",
+  "else",
+  "enum",
+  "eval",
+  "export",
+  "extends",
+  "false",
+  "finally",
+  "for",
+  "function",
+  "if",
+  "implements",
+  "import",
+  "in",
+  "instanceof",
+  "interface",
+  "let",
+  "new",
+  "null",
+  "package",
+  "private",
+  "protected",
+  "public",
+  "return",
+  "static",
+  "super",
+  "switch",
+  "this",
+  "throw",
+  "true",
+  "try",
+  "typeof",
+  "var",
+  "void",
+  "while",
+  "with",
+  "yield",
+];
+
+/**
+ * Prefixes of the local references to the definitions of a document.
+ */
+const DEFINITION_PREFIXES = ["#/$defs/", "#/definitions/"];
+
+/* -------------------------------------------------------------------------- */
+/*                         Class SchemaSourceGenerator                        */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Generates the JavaScript source code that creates the schemas of a JSON Schema document
+ * with the `SchemaBuilder`. Draft 7 and 2020-12 documents are supported.
+ *
+ * The definitions of the document are exported as their own schemas, before the root
+ * schema, and local references to them become the exported schema itself. Definitions
+ * referencing themselves are created with `Type.Recursive`. Any schema
+ * that can't be created with the builder methods is created with `Type.Unsafe`, and the
+ * reason is added to the {@link SchemaSourceGenerator.issues issues}, as are the schemas
+ * created with a builder method that accepts fewer values than the original.
+ */
+export class SchemaSourceGenerator {
+  /**
+   * Template used to generate the source code.
+   */
+  static template = path.join(TEMPLATES_DIR, "schemas.mustache");
+
+  /**
+   * Creates a generator for the JSON Schema document at the given path, whose root
+   * schema is named after the file.
+   *
+   * @param {string} file - The path of the document.
+   * @returns {SchemaSourceGenerator}
+   */
+  static fromFile(file) {
+    const document = JSON.parse(fs.readFileSync(file, "utf-8"));
+    const name = path.basename(file).replace(/(\.schema)?\.json$/, "");
+
+    return new SchemaSourceGenerator(document, name);
+  }
+
+  /**
+   * Converts the given name into an identifier in PascalCase.
+   *
+   * @param {string} name - The name to convert.
+   * @returns {string}
+   */
+  static toIdentifier(name) {
+    const identifier = name
+      .split(/[^\w$]+/)
+      .filter(Boolean)
+      .map((word) => utils.capitalize(word))
+      .join("");
+
+    return /^[A-Za-z_$]/.test(identifier) ? identifier : `_${identifier}`;
+  }
+
+  /**
+   * Renders a JSDoc comment with the given description.
+   *
+   * @param {unknown} description - The description of a schema.
+   * @returns {string} The comment, or an empty string when there's no description.
+   */
+  static renderComment(description) {
+    if (typeof description !== "string" || description.trim() === "") {
+      return "";
+    }
+
+    const lines = description
+      .trim()
+      .replaceAll("*/", "*\\/")
+      .split("\n")
+      .map((line) => utils.Jsdoc.description.render({ description: line }).trimEnd());
+
+    return [utils.Jsdoc.start, ...lines, utils.Jsdoc.end].join("\n");
+  }
+
+  /**
+   * The problems found while converting the document, each one with the JSON pointer of
+   * the schema it refers to.
+   *
+   * @type {SourceIssue[]}
+   */
+  issues = [];
+
+  /**
+   * The schemas to export, in the order they must be declared.
+   *
+   * @type {SourceSchema[]}
+   */
+  schemas = [];
+
+  /**
+   * Identifiers of the definitions of the document, by their local reference.
+   *
+   * @type {Map<string, string>}
+   */
+  #definitions = new Map();
+
+  /**
+   * Local references that can't become the exported schema, because they are part of a
+   * cycle, as `<from> <to>` pairs.
+   *
+   * @type {Set<string>}
+   */
+  #cycles = new Set();
+
+  /**
+   * The reference of the definition being converted, or `#` for the root schema.
+   *
+   * @type {string}
+   */
+  #current = "#";
+
+  /**
+   * @param {unknown} document - The JSON Schema document.
+   * @param {string}  name     - The name of the root schema.
+   */
+  constructor(document, name) {
+    const root = /** @type {Record<string, any>} */ (
+      typeof document === "object" && document !== null ? document : {}
+    );
+    let rootName = SchemaSourceGenerator.toIdentifier(name);
+
+    while (RESERVED_IDENTIFIERS.includes(rootName)) {
+      rootName = `${rootName}_`;
+    }
+
+    /**
+     * @type {Map<string, unknown>}
+     */
+    const definitions = new Map();
+
+    for (const keyword of ["definitions", "$defs"]) {
+      Object.entries(root[keyword] ?? {}).forEach(([key, schema]) => {
+        const reference = `#/${keyword}/${key.replaceAll("~", "~0").replaceAll("/", "~1")}`;
+        let identifier = SchemaSourceGenerator.toIdentifier(key);
+
+        while (
+          identifier === rootName ||
+          RESERVED_IDENTIFIERS.includes(identifier) ||
+          [...this.#definitions.values()].includes(identifier)
+        ) {
+          identifier = `${identifier}_`;
+        }
+
+        this.#definitions.set(reference, identifier);
+        definitions.set(reference, schema);
+      });
+    }
+
+    for (const reference of this.#sortDefinitions(definitions)) {
+      const schema = /** @type {Record<string, unknown>} */ (definitions.get(reference));
+
+      this.#current = reference;
+      this.schemas.push({
+        name: /** @type {string} */ (this.#definitions.get(reference)),
+        comment: SchemaSourceGenerator.renderComment(schema?.description),
+        expression: this.#convertDefinition(schema, reference),
+      });
+    }
+
+    this.#current = "#";
+    this.schemas.push({
+      name: rootName,
+      comment: SchemaSourceGenerator.renderComment(root.description),
+      expression: this.#convert(document, "#"),
+    });
+  }
+
+  /**
+   * Converts a definition into the expression that creates it, wrapped in
+   * `Type.Recursive` when the definition references itself.
+   *
+   * @param {unknown} schema    - The schema of the definition.
+   * @param {string}  reference - The local reference of the definition.
+   * @returns {string}
+   */
+  #convertDefinition(schema, reference) {
+    const expression = this.#convert(schema, reference);
+
+    if (!this.#cycles.has(`${reference} ${reference}`)) {
+      return expression;
+    }
+
+    const id = /** @type {Record<string, unknown>} */ (schema).$id;
+    /**
+     * @type {[string, string][]}
+     */
+    const options = typeof id === "string" ? [["$id", JSON.stringify(id)]] : [];
+
+    return `Type.Recursive(${this.#renderArguments([`(This) => ${expression}`], options)})`;
+  }
+
+  /**
+   * Sorts the definitions so that every definition comes after the ones it references,
+   * recording the references that close a cycle.
+   *
+   * @param {Map<string, unknown>} definitions - The definitions, by local reference.
+   * @returns {string[]} The local references of the definitions, sorted.
+   */
+  #sortDefinitions(definitions) {
+    /**
+     * @type {string[]}
+     */
+    const sorted = [];
+    /**
+     * @type {Set<string>}
+     */
+    const visiting = new Set();
+
+    /**
+     * @param {string} reference
+     */
+    const visit = (reference) => {
+      if (sorted.includes(reference)) {
+        return;
+      }
+
+      visiting.add(reference);
+
+      for (const target of getReferences(definitions.get(reference))) {
+        if (visiting.has(target)) {
+          this.#cycles.add(`${reference} ${target}`);
+        } else if (definitions.has(target)) {
+          visit(target);
+        }
+      }
+
+      visiting.delete(reference);
+      sorted.push(reference);
+    };
+
+    [...definitions.keys()].forEach(visit);
+
+    return sorted;
+  }
+
+  /**
+   * Records a problem found in the schema at the given pointer.
+   *
+   * @param {string} pointer - The JSON pointer of the schema.
+   * @param {string} message - The description of the problem.
+   */
+  #report(pointer, message) {
+    this.issues.push({ pointer, message });
+  }
+
+  /**
+   * Creates the expression of a schema that can't be created with the builder methods.
+   *
+   * @param {unknown} schema  - The schema.
+   * @param {string}  pointer - The JSON pointer of the schema.
+   * @param {string}  reason  - Why the builder methods can't create it.
+   * @returns {string}
+   */
+  #unsafe(schema, pointer, reason) {
+    this.#report(pointer, `${reason} Falling back to Type.Unsafe.`);
+
+    return `Type.Unsafe(${JSON.stringify(schema)})`;
+  }
+
+  /**
+   * Renders the options object of a builder method.
+   *
+   * @param {[string, string][]} entries - The options, as pairs of keyword and expression.
+   * @returns {string} The options, or an empty string when there are none.
+   */
+  #renderOptions(entries) {
+    if (entries.length === 0) {
+      return "";
+    }
+
+    return `{ ${entries.map(([key, value]) => `${JSON.stringify(key)}: ${value}`).join(", ")} }`;
+  }
+
+  /**
+   * Renders the arguments of a builder method, followed by the given options.
+   *
+   * @param {string[]}           args    - The expressions of the arguments.
+   * @param {[string, string][]} options - The options, as pairs of keyword and expression.
+   * @returns {string}
+   */
+  #renderArguments(args, options) {
+    const rendered = this.#renderOptions(options);
+
+    return [...args, ...(rendered ? [rendered] : [])].join(", ");
+  }
+
+  /**
+   * Converts a schema into the expression that creates it.
+   *
+   * @param {unknown} schema  - The schema to convert.
+   * @param {string}  pointer - The JSON pointer of the schema.
+   * @returns {string}
+   */
+  #convert(schema, pointer) {
+    if (schema === true) {
+      return "Type.Any()";
+    }
+
+    if (schema === false) {
+      return "Type.Never()";
+    }
+
+    if (typeof schema !== "object" || schema === null || Array.isArray(schema)) {
+      return this.#unsafe(schema, pointer, "The schema is not an object nor a boolean.");
+    }
+
+    /**
+     * @type {Record<string, any>}
+     */
+    const value = Object.fromEntries(
+      Object.entries(schema).filter(([key]) => {
+        return !(pointer === "#" && ROOT_KEYWORDS.includes(key));
+      }),
+    );
+    /**
+     * @type {[string, string][]}
+     */
+    const options = Object.entries(value)
+      .filter(([key]) => ANNOTATION_KEYWORDS.includes(key))
+      .map(([key, option]) => [key, JSON.stringify(option)]);
+    const keywords = Object.keys(value).filter(
+      (key) => !ANNOTATION_KEYWORDS.includes(key),
+    );
+    const [supported, convert] = this.#getConverter(value, keywords);
+    const unsupported = keywords.filter((keyword) => !supported.includes(keyword));
+
+    if (unsupported.length > 0) {
+      const list = unsupported.map((keyword) => `"${keyword}"`).join(", ");
+
+      return this.#unsafe(value, pointer, `Unsupported keywords: ${list}.`);
+    }
+
+    return convert(value, pointer, options);
+  }
+
+  /**
+   * Gets the keywords supported by the converter of the given schema, along with the
+   * converter itself.
+   *
+   * @param {Record<string, any>} schema   - The schema to convert.
+   * @param {string[]}            keywords - The keywords of the schema, besides annotations.
+   * @returns {[string[], Converter]}
+   */
+  #getConverter(schema, keywords) {
+    if ("$ref" in schema) {
+      return [["$ref"], (s, p, o) => this.#convertRef(s, p, o)];
+    }
+
+    if ("const" in schema) {
+      return [["const", "type"], (s, p, o) => this.#convertConst(s, p, o)];
+    }
+
+    if ("enum" in schema) {
+      return [["enum", "type"], (s, p, o) => this.#convertEnum(s, p, o)];
+    }
+
+    for (const [keyword, method] of [
+      ["anyOf", "Union"],
+      ["oneOf", "Union"],
+      ["allOf", "Intersect"],
+    ]) {
+      if (keyword in schema) {
+        return [[keyword], (s, p, o) => this.#convertComposite(s, p, o, keyword, method)];
+      }
+    }
+
+    if ("not" in schema) {
+      return [
+        ["not"],
+        (s, p, o) =>
+          `Type.Not(${this.#renderArguments([this.#convert(s.not, `${p}/not`)], o)})`,
+      ];
+    }
+
+    if (Array.isArray(schema.type)) {
+      const types = schema.type.filter((type) => type in TYPE_KEYWORDS);
+
+      return [
+        ["type", ...types.flatMap((type) => TYPE_KEYWORDS[type])],
+        (s, p, o) => this.#convertTypes(s, p, o),
+      ];
+    }
+
+    const type =
+      typeof schema.type === "string"
+        ? schema.type
+        : Object.keys(TYPE_KEYWORDS).find((name) => {
+            return TYPE_KEYWORDS[name].some((keyword) => keywords.includes(keyword));
+          });
+
+    if (type === undefined) {
+      return [[], (_s, _p, o) => `Type.Unknown(${this.#renderOptions(o)})`];
+    }
+
+    if (!(type in TYPE_KEYWORDS)) {
+      return [[], (s, p) => this.#unsafe(s, p, `Unknown type "${type}".`)];
+    }
+
+    return [
+      ["type", ...TYPE_KEYWORDS[type]],
+      (s, p, o) => {
+        if (typeof s.type !== "string") {
+          this.#report(
+            p,
+            `The schema has no type, so it was converted to a schema that only accepts ${type} values.`,
+          );
+        }
+
+        return this.#convertType(type, s, p, o);
+      },
+    ];
+  }
+
+  /**
+   * @type {Converter}
+   */
+  #convertRef(schema, pointer, options) {
+    const reference = schema.$ref;
+
+    if (typeof reference !== "string") {
+      return this.#unsafe(schema, pointer, "The $ref keyword is not a string.");
+    }
+
+    const identifier = this.#definitions.get(reference);
+
+    if (reference === this.#current && this.#cycles.has(`${reference} ${reference}`)) {
+      if (options.length > 0) {
+        this.#report(pointer, "The annotations next to $ref were dropped.");
+      }
+
+      return "This";
+    }
+
+    if (identifier !== undefined && !this.#cycles.has(`${this.#current} ${reference}`)) {
+      if (options.length > 0) {
+        this.#report(pointer, "The annotations next to $ref were dropped.");
+      }
+
+      return identifier;
+    }
+
+    if (reference.startsWith("#")) {
+      const reason = identifier
+        ? `The reference to ${reference} is recursive.`
+        : `The reference to ${reference} doesn't point to a definition.`;
+
+      return this.#unsafe(schema, pointer, reason);
+    }
+
+    return `Type.Ref(${this.#renderArguments([JSON.stringify(reference)], options)})`;
+  }
+
+  /**
+   * @type {Converter}
+   */
+  #convertConst(schema, pointer, options) {
+    return this.#convertLiteral(schema.const, schema, pointer, options);
+  }
+
+  /**
+   * Converts a value allowed by a schema into the expression that creates its literal
+   * schema.
+   *
+   * @param {unknown}             value   - The allowed value.
+   * @param {Record<string, any>} schema  - The schema the value comes from.
+   * @param {string}              pointer - The JSON pointer of the schema.
+   * @param {[string, string][]}  options - The options of the created schema.
+   * @returns {string}
+   */
+  #convertLiteral(value, schema, pointer, options) {
+    if (value === null) {
+      return `Type.Null(${this.#renderOptions(options)})`;
+    }
+
+    if (["string", "number", "boolean"].includes(typeof value)) {
+      return `Type.Literal(${this.#renderArguments([JSON.stringify(value)], options)})`;
+    }
+
+    return this.#unsafe(schema, pointer, "Only primitive values can be literals.");
+  }
+
+  /**
+   * @type {Converter}
+   */
+  #convertEnum(schema, pointer, options) {
+    const values = schema.enum;
+
+    if (!Array.isArray(values) || values.length === 0) {
+      return this.#unsafe(schema, pointer, "The enum keyword is not a non-empty array.");
+    }
+
+    if (values.some((value) => typeof value === "object" && value !== null)) {
+      return this.#unsafe(schema, pointer, "Only primitive values can be literals.");
+    }
+
+    if (values.length === 1) {
+      return this.#convertLiteral(values[0], schema, pointer, options);
+    }
+
+    const literals = values.map((value) =>
+      this.#convertLiteral(value, schema, pointer, []),
+    );
+
+    return `Type.Union(${this.#renderArguments([`[${literals.join(", ")}]`], options)})`;
+  }
+
+  /**
+   * Converts a schema made of several subschemas.
+   *
+   * @param {Record<string, any>} schema  - The schema to convert.
+   * @param {string}              pointer - The JSON pointer of the schema.
+   * @param {[string, string][]}  options - The options of the created schema.
+   * @param {string}              keyword - The keyword holding the subschemas.
+   * @param {string}              method  - The builder method that combines them.
+   * @returns {string}
+   */
+  #convertComposite(schema, pointer, options, keyword, method) {
+    const schemas = schema[keyword];
+
+    if (!Array.isArray(schemas) || schemas.length === 0) {
+      return this.#unsafe(
+        schema,
+        pointer,
+        `The ${keyword} keyword is not a non-empty array.`,
+      );
+    }
+
+    if (keyword === "oneOf") {
+      this.#report(
+        pointer,
+        "oneOf was converted to Type.Union, which doesn't check that only one schema matches.",
+      );
+    }
+
+    const members = schemas.map((member, i) =>
+      this.#convert(member, `${pointer}/${keyword}/${i}`),
+    );
+
+    return `Type.${method}(${this.#renderArguments([`[${members.join(", ")}]`], options)})`;
+  }
+
+  /**
+   * @type {Converter}
+   */
+  #convertTypes(schema, pointer, options) {
+    /**
+     * @type {string[]}
+     */
+    const types = schema.type;
+
+    if (types.length === 1) {
+      return this.#convert({ ...schema, type: types[0] }, pointer);
+    }
+
+    const members = types.map((type) => {
+      const keywords = Object.entries(schema).filter(([key]) => {
+        return TYPE_KEYWORDS[type]?.includes(key);
+      });
+
+      return this.#convert({ type, ...Object.fromEntries(keywords) }, pointer);
+    });
+
+    return `Type.Union(${this.#renderArguments([`[${members.join(", ")}]`], options)})`;
+  }
+
+  /**
+   * Converts a schema of a single type.
+   *
+   * @param {string}              type    - The type of the schema.
+   * @param {Record<string, any>} schema  - The schema to convert.
+   * @param {string}              pointer - The JSON pointer of the schema.
+   * @param {[string, string][]}  options - The options of the created schema.
+   * @returns {string}
+   */
+  #convertType(type, schema, pointer, options) {
+    if (type === "array") {
+      return this.#convertArray(schema, pointer, options);
+    }
+
+    if (type === "object") {
+      return this.#convertObject(schema, pointer, options);
+    }
+
+    if (
+      type === "string" &&
+      typeof schema.format === "string" &&
+      !FormatRegistry.Has(schema.format)
+    ) {
+      this.#report(
+        pointer,
+        `The format "${schema.format}" is not registered in the FormatRegistry of TypeBox, which rejects every value until it is.`,
+      );
+    }
+
+    const entries = TYPE_KEYWORDS[type]
+      .filter((keyword) => keyword in schema)
+      .map(
+        (keyword) =>
+          /** @type {[string, string]} */ ([keyword, JSON.stringify(schema[keyword])]),
+      );
+
+    return `Type.${TYPE_METHODS[type]}(${this.#renderOptions([...options, ...entries])})`;
+  }
+
+  /**
+   * @type {Converter}
+   */
+  #convertArray(schema, pointer, options) {
+    const prefix = Array.isArray(schema.items) ? "items" : "prefixItems";
+    const rest = prefix === "items" ? "additionalItems" : "items";
+
+    if (prefix in schema) {
+      const items = schema[prefix];
+
+      if (!Array.isArray(items) || schema[rest] !== false) {
+        return this.#unsafe(
+          schema,
+          pointer,
+          "Only tuples without additional items are supported.",
+        );
+      }
+
+      const others = Object.keys(schema).filter((key) => {
+        return (
+          !["type", prefix, rest, "minItems", "maxItems"].includes(key) &&
+          !ANNOTATION_KEYWORDS.includes(key)
+        );
+      });
+
+      if (others.length > 0) {
+        return this.#unsafe(
+          schema,
+          pointer,
+          "Tuples only support the minItems and maxItems keywords.",
+        );
+      }
+
+      if (!(schema.minItems >= items.length)) {
+        this.#report(
+          pointer,
+          `The tuple was converted to Type.Tuple, which requires all of its ${items.length} items.`,
+        );
+      }
+
+      const members = items.map((item, i) =>
+        this.#convert(item, `${pointer}/${prefix}/${i}`),
+      );
+
+      return `Type.Tuple(${this.#renderArguments([`[${members.join(", ")}]`], options)})`;
+    }
+
+    if ("additionalItems" in schema) {
+      return this.#unsafe(
+        schema,
+        pointer,
+        "additionalItems is only supported with tuples.",
+      );
+    }
+
+    const items =
+      "items" in schema
+        ? this.#convert(schema.items, `${pointer}/items`)
+        : "Type.Unknown()";
+    const entries = [
+      "minItems",
+      "maxItems",
+      "uniqueItems",
+      "contains",
+      "minContains",
+      "maxContains",
+    ]
+      .filter((keyword) => keyword in schema)
+      .map((keyword) => {
+        const value =
+          keyword === "contains"
+            ? this.#convert(schema.contains, `${pointer}/contains`)
+            : JSON.stringify(schema[keyword]);
+
+        return /** @type {[string, string]} */ ([keyword, value]);
+      });
+
+    return `Type.Array(${this.#renderArguments([items], [...options, ...entries])})`;
+  }
+
+  /**
+   * @type {Converter}
+   */
+  #convertObject(schema, pointer, options) {
+    const properties = schema.properties ?? {};
+    const required = Array.isArray(schema.required) ? schema.required : [];
+    const missing = required.filter((name) => !(name in properties));
+
+    if (missing.length > 0) {
+      return this.#unsafe(
+        schema,
+        pointer,
+        `Required properties without a schema: ${missing.join(", ")}.`,
+      );
+    }
+
+    const additional = schema.additionalProperties;
+    const entries = ["minProperties", "maxProperties"]
+      .filter((keyword) => keyword in schema)
+      .map(
+        (keyword) =>
+          /** @type {[string, string]} */ ([keyword, JSON.stringify(schema[keyword])]),
+      );
+
+    if (
+      !("properties" in schema) &&
+      typeof additional === "object" &&
+      additional !== null
+    ) {
+      const values = this.#convert(additional, `${pointer}/additionalProperties`);
+
+      return `Type.Record(${this.#renderArguments(["Type.String()", values], [...options, ...entries])})`;
+    }
+
+    if (additional !== undefined) {
+      const value =
+        typeof additional === "boolean"
+          ? JSON.stringify(additional)
+          : this.#convert(additional, `${pointer}/additionalProperties`);
+
+      entries.push(["additionalProperties", value]);
+    }
+
+    const members = Object.entries(properties).map(([name, property]) => {
+      const key = /^[A-Za-z_$][\w$]*$/.test(name) ? name : JSON.stringify(name);
+      const escaped = name.replaceAll("~", "~0").replaceAll("/", "~1");
+      const expression = this.#convert(property, `${pointer}/properties/${escaped}`);
+      const comment = SchemaSourceGenerator.renderComment(property?.description);
+      const value = required.includes(name) ? expression : `Type.Optional(${expression})`;
+
+      return `${comment ? `${comment}\n` : ""}${key}: ${value},`;
+    });
+
+    return `Type.Object(${this.#renderArguments([`{\n${members.join("\n")}\n}`], [...options, ...entries])})`;
+  }
+
+  /**
+   * Renders the source code and formats it using Prettier, without writing anything.
+   *
+   * @param {string} file    - The file path the content is meant for, used to resolve the
+   *                         Prettier configuration and the import of the builder.
+   * @param {string} builder - The path of the builder module.
+   * @returns {Promise<string>} The formatted content.
+   */
+  async render(file, builder) {
+    const specifier = utils.toPosixPath(
+      path.relative(path.dirname(path.resolve(file)), path.resolve(builder)),
+    );
+    const template = fs.readFileSync(SchemaSourceGenerator.template, "utf-8");
+    const content = ProgramGenerator.renderTemplate(template, {
+      builder: specifier.startsWith(".") ? specifier : `./${specifier}`,
+      schemas: this.schemas,
+    });
+
+    return ProgramGenerator.format(content, file);
+  }
+
+  /**
+   * Writes the rendered source code to the given file path, creating its directory when
+   * needed.
+   *
+   * @param {string} file    - The file path to write the content to.
+   * @param {string} builder - The path of the builder module.
+   * @returns {Promise<void>}
+   */
+  async writeToFile(file, builder) {
+    const content = await this.render(file, builder);
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+
+    return fs.writeFileSync(file, content, "utf-8");
+  }
+}
+
+/**
+ * Collects the local references to definitions found anywhere in the given schema.
+ *
+ * @param {unknown} schema - The schema to look into.
+ * @returns {string[]}
+ */
+function getReferences(schema) {
+  if (typeof schema !== "object" || schema === null) {
+    return [];
+  }
+
+  const own = /** @type {Record<string, unknown>} */ (schema).$ref;
+  const nested = Object.values(schema).flatMap((value) => getReferences(value));
+
+  if (
+    typeof own === "string" &&
+    DEFINITION_PREFIXES.some((prefix) => own.startsWith(prefix))
+  ) {
+    return [own, ...nested];
+  }
+
+  return nested;
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                   Typings                                  */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * A problem found by a {@link SchemaSourceGenerator}.
+ *
+ * @typedef {Object} SourceIssue
+ * @property {string} pointer - The JSON pointer of the schema the problem was found in.
+ * @property {string} message - The description of the problem.
+ */
+
+/**
+ * A schema exported by the generated source code.
+ *
+ * @typedef {Object} SourceSchema
+ * @property {string} name       - The name of the export.
+ * @property {string} comment    - The JSDoc comment of the export, if any.
+ * @property {string} expression - The expression that creates the schema.
+ */
+
+/**
+ * Converts a schema into the expression that creates it.
+ *
+ * @callback Converter
+ * @param {Record<string, any>} schema  - The schema to convert.
+ * @param {string}              pointer - The JSON pointer of the schema.
+ * @param {[string, string][]}  options - The options of the created schema.
+ * @returns {string}
+ */
@@ -0,0 +1,174 @@
+import fs from "node:fs";
+import path from "node:path";
+
+import { TypeGuard } from "@sinclair/typebox";
+
+import { toJsonSchema } from "../../lib/json-schema.js";
+import { BUNDLE_DIALECT, createRefRewriter } from "../../lib/registry.js";
+import { ProgramGenerator } from "./typebox.js";
+import { importModule } from "./utils.js";
+
+/**
+ * Extension of the generated JSON Schema files.
+ */
+export const SCHEMA_FILE_EXTENSION = ".schema.json";
+
+/**
+ * Imports the given module and collects the TypeBox schemas it exports, by export name.
+ *
+ * @param {string} file - The path of the module.
+ * @returns {Promise<Map<string, TSchema>>}
+ */
+export async function loadSchemas(file) {
+  const module = await importModule(file);
+
+  return new Map(
+    Object.entries(module).filter(
+      /** @returns {entry is [string, TSchema]} */
+      (entry) => TypeGuard.IsSchema(entry[1]),
+    ),
+  );
+}
+
+/**
+ * Creates a single JSON Schema document with the given schemas in its `$defs`, keyed by
+ * export name. References to the `$id` of a bundled schema are rewritten to point to its
+ * definition in the document.
+ *
+ * @param {Map<string, TSchema>} schemas - The schemas to bundle, by export name.
+ * @returns {JsonSchemaResult} The bundle, with the parts of the schemas that can't be
+ *                             represented in JSON Schema.
+ */
+export function createBundle(schemas) {
+  /**
+   * @type {Map<string, string>}
+   */
+  const names = new Map();
+
+  for (const [name, schema] of schemas) {
+    if (typeof schema.$id === "string") {
+      names.set(schema.$id, name);
+    }
+  }
+
+  /**
+   * @type {Record<string, unknown>}
+   */
+  const $defs = {};
+  /**
+   * @type {JsonSchemaIssue[]}
+   */
+  const issues = [];
+  const rewriteRef = createRefRewriter(names);
+
+  for (const [name, schema] of schemas) {
+    const definition = toJsonSchema(schema, rewriteRef);
+    const prefix = `/$defs/${name}`;
+
+    delete definition.schema.$id;
+    $defs[name] = definition.schema;
+    issues.push(
+      ...definition.issues.map((issue) => ({
+        ...issue,
+        pointer: prefix + issue.pointer,
+      })),
+    );
+  }
+
+  return { schema: { $schema: BUNDLE_DIALECT, $defs }, issues };
+}
+
+/**
+ * Renders the JSON Schema files of the given schemas, formatted with Prettier, without
+ * writing anything.
+ *
+ * @param {Map<string, TSchema>} schemas - The schemas to render, by export name.
+ * @param {RenderSchemasOptions} options - Where to render them.
+ * @returns {Promise<RenderedSchemaFile[]>}
+ */
+export async function renderSchemaFiles(schemas, options) {
+  if (options.bundle) {
+    const bundle = createBundle(schemas);
+    const content = JSON.stringify(bundle.schema);
+
+    return [
+      {
+        path: options.bundle,
+        content: await ProgramGenerator.format(content, options.bundle),
+        issues: bundle.issues,
+      },
+    ];
+  }
+
+  const files = [];
+
+  for (const [name, schema] of schemas) {
+    const file = path.join(options.out, `${name}${SCHEMA_FILE_EXTENSION}`);
+    const converted = toJsonSchema(schema);
+    const content = JSON.stringify(converted.schema);
+
+    files.push({
+      path: file,
+      content: await ProgramGenerator.format(content, file),
+      issues: converted.issues,
+    });
+  }
+
+  return files;
+}
+
+/**
+ * Gets the JSON Schema files in the given directory that are not among the given paths,
+ * i.e. the ones left behind by exports that were removed or renamed.
+ *
+ * @param {string}   dir   - The directory of the generated files.
+ * @param {string[]} files - The paths of the files that are still generated.
+ * @returns {string[]}
+ */
+export function getOrphanSchemaFiles(dir, files) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  const generated = new Set(files.map((file) => path.resolve(file)));
+
+  return fs
+    .readdirSync(dir)
+    .filter((file) => file.endsWith(SCHEMA_FILE_EXTENSION))
+    .map((file) => path.join(dir, file))
+    .filter((file) => !generated.has(path.resolve(file)));
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                   Typings                                  */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * @typedef {import("@sinclair/typebox").TSchema} TSchema
+ */
+
+/**
+ * @typedef {import("../../lib/json-schema.js").JsonSchemaIssue} JsonSchemaIssue
+ */
+
+/**
+ * @typedef {import("../../lib/json-schema.js").JsonSchemaResult} JsonSchemaResult
+ */
+
+/**
+ * A JSON Schema file rendered by {@link renderSchemaFiles}.
+ *
+ * @typedef {Object} RenderedSchemaFile
+ * @property {string}            path    - The path the file is meant to be written to.
+ * @property {string}            content - The content of the file.
+ * @property {JsonSchemaIssue[]} issues  - The parts of the schemas that can't be
+ *                                       represented in JSON Schema, left out of the file.
+ */
+
+/**
+ * The options of {@link renderSchemaFiles}.
+ *
+ * @typedef {Object} RenderSchemasOptions
+ * @property {string}         out      - The directory of the files, one per schema.
+ * @property {string | false} [bundle] - The path of a single bundle to render instead.
+ */
@@ -1,4 +1,6 @@
 import fs from "node:fs";
+import path from "node:path";
+import url from "node:url";
 
 import mustache from "mustache";
 import * as prettier from "prettier";
@@ -6,6 +8,285 @@ import ts from "typescript";
 
 import * as utils from "./utils.js";
 
+/**
+ * Directory containing the templates shipped with this package.
+ */
+export const TEMPLATES_DIR = url.fileURLToPath(
+  new URL("../../templates/", import.meta.url),
+);
+
+/**
+ * Expressions used as arguments by the generated smoke tests, keyed by the text of the
+ * parameter type, or of its constraint when it's a type parameter. Overloads with a
+ * required parameter of any other type are not tested, and methods without any tested
+ * overload get a skipped test naming them.
+ *
+ * @type {Readonly<Record<string, string>>}
+ */
+export const SAMPLE_ARGUMENTS = Object.freeze({
+  "typebox.TSchema":
+    "typebox.Type.Object({ a: typebox.Type.String(), b: typebox.Type.Number() })",
+  "typebox.TSchema[]":
+    "[typebox.Type.Object({ a: typebox.Type.String() }), typebox.Type.Object({ b: typebox.Type.Number() })]",
+  "typebox.TProperties": "{ a: typebox.Type.String(), b: typebox.Type.Number() }",
+  "typebox.TTemplateLiteralKind[]": '[typebox.Type.Literal("a"), typebox.Type.String()]',
+  "typebox.TLiteralValue": '"a"',
+  "typebox.TConstructor<any[], any>":
+    "typebox.Type.Constructor([typebox.Type.String()], typebox.Type.Number())",
+  "typebox.TConstructor<typebox.TSchema[], typebox.TSchema>":
+    "typebox.Type.Constructor([typebox.Type.String()], typebox.Type.Number())",
+  "typebox.TFunction<any[], any>":
+    "typebox.Type.Function([typebox.Type.String()], typebox.Type.Number())",
+  "typebox.TFunction<typebox.TSchema[], typebox.TSchema>":
+    "typebox.Type.Function([typebox.Type.String()], typebox.Type.Number())",
+  "typebox.TMappedFunction<I>": "(key) => typebox.Type.Array(key)",
+  "typebox.TMappedFunction<K>": "(key) => typebox.Type.Array(key)",
+  "Record<typebox.TEnumKey, V>": '{ A: "a", B: 1 }',
+  "PropertyKey[]": '["a"]',
+  "RegExp": "/a/",
+  "boolean": "true",
+  "string": '"a"',
+  "unknown": '{ a: 1, b: ["c"] }',
+});
+
+/**
+ * The facades of the `Value` and `TypeCompiler` namespaces of TypeBox, which can be
+ * configured as `facades` to generate them.
+ *
+ * @type {readonly FacadeConfig[]}
+ */
+export const TYPEBOX_FACADES = Object.freeze([
+  {
+    name: "Value",
+    entry: "node_modules/@sinclair/typebox/build/import/value/index.d.mts",
+    module: "@sinclair/typebox/value",
+    out: "./lib/value.js",
+  },
+  {
+    name: "TypeCompiler",
+    entry: "node_modules/@sinclair/typebox/build/import/compiler/index.d.mts",
+    module: "@sinclair/typebox/compiler",
+    out: "./lib/compiler.js",
+  },
+]);
+
+/**
+ * Pairs of keywords the `.min()` and `.max()` modifiers of the fluent schemas set, in
+ * order of precedence. A method gets them when the options it accepts have both.
+ */
+const LIMIT_KEYWORDS = [
+  ["minLength", "maxLength"],
+  ["minimum", "maximum"],
+  ["minItems", "maxItems"],
+  ["minProperties", "maxProperties"],
+];
+
+/**
+ * Gets the key of a property that can be compared across declarations. Properties keyed
+ * by a unique symbol, like `[Kind]`, are named after the symbol and an internal id that
+ * changes between declarations, so the id is left out.
+ *
+ * @param {ts.Symbol} property - The symbol of the property.
+ * @returns {string}
+ */
+function getPropertyKey(property) {
+  return property.getName().replace(/^(__@\w+)@\d+$/, "$1");
+}
+
+/* -------------------------------------------------------------------------- */
+/*                               Class Parameter                              */
+/* -------------------------------------------------------------------------- */
+export class Parameter {
+  /**
+   * Initializes a new Parameter instance.
+   *
+   * @param {Method} method   - The method this parameter belongs to.
+   * @param {number} position - The position of the parameter in the method signature.
+   * @returns {Parameter} The new Parameter instance.
+   */
+  static init(method, position) {
+    return new Parameter(method, position);
+  }
+
+  /**
+   * Checks if the given {@link ts.ParameterDeclaration} can be omitted by the caller.
+   *
+   * @param {ts.ParameterDeclaration} declaration - The declaration to check.
+   * @returns {boolean}
+   */
+  static isOptionalDeclaration = (declaration) => {
+    return (
+      declaration.questionToken !== undefined || declaration.initializer !== undefined
+    );
+  };
+
+  /**
+   * Checks if the given {@link ts.ParameterDeclaration} is a rest parameter.
+   *
+   * @param {ts.ParameterDeclaration} declaration - The declaration to check.
+   * @returns {boolean}
+   */
+  static isRestDeclaration = (declaration) => {
+    return declaration.dotDotDotToken !== undefined;
+  };
+
+  /**
+   * Gets the name of the given {@link ts.ParameterDeclaration}. A parameter declared with
+   * a binding pattern, like `{ a, b }: T`, has no name of its own, so it's named after its
+   * position.
+   *
+   * @param {ts.ParameterDeclaration} declaration - The declaration to get the name of.
+   * @returns {string}
+   */
+  static getDeclarationName = (declaration) => {
+    if (ts.isIdentifier(declaration.name)) {
+      return declaration.name.text;
+    }
+
+    return `arg${declaration.parent.parameters.indexOf(declaration)}`;
+  };
+
+  /**
+   * All the TypeScript {@link ts.ParameterDeclaration} found at this position across the
+   * overloads of the method.
+   *
+   * @type {ts.ParameterDeclaration[]}
+   */
+  declarations = [];
+
+  /**
+   * @param {Method} method   - The method this parameter belongs to.
+   * @param {number} position - The position of the parameter in the method signature.
+   */
+  constructor(method, position) {
+    /**
+     * A reference to the {@link Method} this parameter belongs to.
+     */
+    this.method = method;
+
+    /**
+     * The position of the parameter in the method signature.
+     */
+    this.position = position;
+
+    /**
+     * The name used for the parameter in the generated code. It's assigned by the method
+     * once all of its parameters are known.
+     */
+    this.name = "";
+  }
+
+  /**
+   * The unique names given to this parameter by the overloads, in declaration order.
+   *
+   * @type {string[]}
+   */
+  get names() {
+    return utils.getUnique(this.declarations.map(this.super.getDeclarationName));
+  }
+
+  /**
+   * Whether at least one overload declares this parameter as a rest parameter.
+   */
+  get isRest() {
+    return this.declarations.some(this.super.isRestDeclaration);
+  }
+
+  /**
+   * Whether the parameter can be omitted, either because an overload declares it as
+   * optional or because an overload doesn't declare it at all.
+   */
+  get isOptional() {
+    if (this.declarations.some(this.super.isOptionalDeclaration)) {
+      return true;
+    }
+
+    return this.method.declarations.some((overload) => {
+      return !this.declarations.some((declaration) => declaration.parent === overload);
+    });
+  }
+
+  /**
+   * The text of the default value of the parameter, only when every overload declaring it
+   * agrees on the same one.
+   *
+   * @type {string | undefined}
+   */
+  get initializer() {
+    const initializers = utils.getUnique(
+      this.declarations.map((declaration) => declaration.initializer?.getText()),
+    );
+
+    return initializers.length === 1 ? initializers[0] : undefined;
+  }
+
+  /**
+   * Adds the provided declarations to the internal array of declarations.
+   *
+   * @param {ts.ParameterDeclaration[]} declarations
+   */
+  addDeclarations(...declarations) {
+    this.declarations.push(...declarations);
+
+    return this;
+  }
+
+  /**
+   * Builds a name that describes every meaning the overloads give to this parameter,
+   * e.g. `schemaOrRef` for a parameter named `schema` in an overload and `$ref` in
+   * another one.
+   *
+   * @returns {string}
+   */
+  getMergedName() {
+    const [first, ...others] = this.names;
+
+    return [
+      first,
+      ...others.map((name) => utils.capitalize(name.replace(/^[$_]+/, ""))),
+    ].join("Or");
+  }
+
+  /**
+   * Renders the parameter as it goes in the generated method signature.
+   *
+   * @returns {string}
+   */
+  toParameterText() {
+    if (this.isRest) {
+      return utils.addPrefix("...", "", this.name);
+    }
+
+    if (this.initializer !== undefined) {
+      return `${this.name} = ${this.initializer}`;
+    }
+
+    return this.name;
+  }
+
+  /**
+   * Renders the parameter as it goes in the call forwarded to TypeBox.
+   *
+   * @returns {string}
+   */
+  toArgumentText() {
+    if (this.isRest) {
+      return utils.addPrefix("...", "", this.name);
+    }
+
+    return this.name;
+  }
+
+  /**
+   * The `Parameter` constructor.
+   *
+   * @type {typeof Parameter}
+   */
+  get super() {
+    return utils.coerce(this.constructor);
+  }
+}
+
 /* -------------------------------------------------------------------------- */
 /*                                Class Method                                */
 /* -------------------------------------------------------------------------- */
@@ -21,11 +302,32 @@ export class Method {
     return new Method(name, generator);
   }
 
+  /**
+   * Renames the type parameters found in the given type text.
+   *
+   * @param {string}              text    - The type text.
+   * @param {Map<string, string>} renames - The new names, by original name.
+   * @returns {string}
+   */
+  static renameTypeParameters(text, renames) {
+    let renamed = text;
+
+    renames.forEach((name, original) => {
+      renamed = renamed.replace(
+        new RegExp(`(?<![\\w$'"])(?<![\\w$)\\]>]\\.)${original}(?![\\w$'"])`, "g"),
+        name,
+      );
+    });
+
+    return renamed;
+  }
+
   /**
    * All the TypeScript {@link ts.MethodDeclaration} associated under
-   * the same name.
+   * the same name, or the {@link ts.FunctionDeclaration} when the method belongs to a
+   * {@link Facade}.
    *
-   * @type {NamedMethodDeclaration[]}
+   * @type {CallableDeclaration[]}
    */
   declarations = [];
 
@@ -39,6 +341,19 @@ export class Method {
      */
     this.name = name;
 
+    /**
+     * The name of the TypeBox method this method delegates to. It only differs from
+     * {@link Method.name} when the method is renamed or is an alias.
+     */
+    this.originalName = name;
+
+    /**
+     * The name of the method this one is an alias of, if any.
+     *
+     * @type {string | undefined}
+     */
+    this.aliasOf = undefined;
+
     /**
      * The description for this method.
      */
@@ -50,35 +365,77 @@ export class Method {
     this.generator = generator;
 
     /**
-     * Details about the parameters for this method.
+     * The parameters of this method, merged by position across all of its overloads.
+     *
+     * @type {Parameter[]}
      */
-    this.parameters = {
-      /**
-       * The names of the method parameters.
-       *
-       * @type {string[]}
-       */
-      names: [],
-    };
+    this.parameters = [];
+
+    /**
+     * The facade this method belongs to, if it's not a method of the builder.
+     *
+     * @type {Facade | undefined}
+     */
+    this.facade = undefined;
+
+    /**
+     * Extra JSDoc tags, without the leading ` * `, rendered at the end of every comment of
+     * this method. Plugins can use it to document the generated method further.
+     *
+     * @type {string[]}
+     */
+    this.tags = [];
   }
 
   /**
-   * Adds the names of the parameters from the declarations to the `parameters.names`
-   * array if they don't already exist.
+   * Merges the parameters of every declaration by their position. A rest parameter
+   * absorbs the parameters found at its position or after it in other overloads, since
+   * nothing can follow it in the generated signature.
    */
-  #step1_addParametersNames() {
-    this.declarations
-      .map(utils.pickProperty("parameters"))
-      .flat()
-      .filter(utils.hasProperty("name"))
-      .map(utils.pickProperty("name"))
-      .forEach((name) => {
-        const nameTxt = name.getText();
+  #step1_addParameters() {
+    this.declarations.forEach((declaration) => {
+      declaration.parameters.forEach((parameterDecl, index) => {
+        const rest = this.parameters.find(utils.pickProperty("isRest"));
 
-        if (!this.parameters.names.includes(nameTxt)) {
-          this.parameters.names.push(nameTxt);
+        if (rest && rest.position <= index) {
+          rest.addDeclarations(parameterDecl);
+        } else {
+          const parameter = (this.parameters[index] ??= Parameter.init(this, index));
+
+          parameter.addDeclarations(parameterDecl);
         }
       });
+    });
+
+    const restIndex = this.parameters.findIndex(utils.pickProperty("isRest"));
+
+    if (restIndex !== -1) {
+      this.parameters.splice(restIndex + 1).forEach((parameter) => {
+        this.parameters[restIndex].addDeclarations(...parameter.declarations);
+      });
+    }
+
+    return this;
+  }
+
+  /**
+   * Assigns a name to every parameter. Parameters with different names across overloads
+   * get a merged name, and a name already taken by a previous parameter is suffixed with
+   * the parameter position so the generated signature stays valid.
+   */
+  #step2_assignParametersNames() {
+    /**
+     * @type {string[]}
+     */
+    const taken = [];
+
+    this.parameters.forEach((parameter) => {
+      const name = parameter.getMergedName();
+
+      parameter.name = taken.includes(name) ? `${name}${parameter.position}` : name;
+
+      taken.push(parameter.name);
+    });
 
     return this;
   }
@@ -86,7 +443,7 @@ export class Method {
   /**
    * Adds the provided declarations to the internal array of declarations.
    *
-   * @param {NamedMethodDeclaration[]} declarations
+   * @param {CallableDeclaration[]} declarations
    */
   addDeclarations(...declarations) {
     this.declarations.push(...declarations);
@@ -95,270 +452,1691 @@ export class Method {
   }
 
   /**
-   * Triggers initialization tasks for the method, such as adding parameter names.
+   * Changes the name this method is exposed under in the generated builder.
+   *
+   * @param {string} name - The new name of the method.
    */
-  triggerInitTasks() {
-    return this.#step1_addParametersNames();
+  rename(name) {
+    this.name = name;
+
+    return this;
   }
 
   /**
-   * Generates template data for this method based on its declarations.
+   * Creates a copy of this method, exposed under another name.
    *
-   * @returns Object containing name, JSDoc comment, and comma-separated parameter
-   *          list.
+   * @param {string} name - The name of the alias.
+   * @returns {Method} The new Method instance.
    */
-  getTemplateData() {
-    const commentLines = [utils.Jsdoc.start];
+  createAlias(name) {
+    const alias = Method.init(this.generator, this.originalName);
 
-    commentLines.push(`${utils.Jsdoc.description.render(this)}`, utils.Jsdoc.emptyLine);
+    alias
+      .addDeclarations(...this.declarations)
+      .triggerInitTasks()
+      .rename(name);
+    alias.aliasOf = this.name;
+    alias.description = `${this.description} Alias of ${this.name}.`;
 
-    commentLines.push(utils.Jsdoc.end);
-
-    return {
-      name: this.name,
-      comment: commentLines.join("\n"),
-      parameters: this.parameters.names.join(", "),
-    };
+    return alias;
   }
-}
 
-/* -------------------------------------------------------------------------- */
-/*                           Class Program Generator                          */
-/* -------------------------------------------------------------------------- */
-export class ProgramGenerator {
   /**
-   * Configuration object that defines parameters for generating TypeScript type
-   * definitions from the configured builder classes.
+   * Gets the expression that references the TypeBox function this method delegates to,
+   * e.g. `typebox.Type.String` or `upstream.Value.Check`.
+   *
+   * @returns {string}
    */
-  static config = Object.freeze({
-    dir: "node_modules/@sinclair/typebox/build/import/type/type",
-    /**
-     * Class names that will be used to generate TypeScript type definitions.
-     */
-    builders: ["JavaScriptTypeBuilder", "JsonTypeBuilder"],
-    /**
-     * Root source files that will be used to generate TypeScript type definitions for the
-     * configured builder classes.
-     */
-    get rootFiles() {
-      return [`${this.dir}/json.d.mts`, `${this.dir}/javascript.d.mts`];
-    },
-    /**
-     * Template is used to generate the output for the configured builders.
-     */
-    template: fs.readFileSync("./templates/builder.mustache", "utf-8"),
-  });
+  getUpstreamReference() {
+    const namespace = this.facade ? `upstream.${this.facade.name}` : "typebox.Type";
+
+    return `${namespace}.${this.originalName}`;
+  }
 
   /**
-   * Checks if the given source file is one of the root files configured for this Program
-   * Generator.
+   * Renders the tags that go at the end of every comment of this method: the extra
+   * {@link Method.tags} and, when it's exposed under a different name, the link to the
+   * TypeBox method it delegates to.
    *
-   * @param {ts.SourceFile} source - The source file to check.
-   * @returns {boolean} Whether the source file is a root file.
+   * @returns {string[]} The rendered tags.
    */
-  static isRootFileSource = (source) => {
-    return this.config.rootFiles.includes(source.fileName);
-  };
+  #renderTrailingTags() {
+    const lines = this.tags.map((tag) => utils.addPrefix(" *", " ", tag));
+
+    if (this.name !== this.originalName) {
+      lines.push(utils.Jsdoc.see.render({ reference: this.getUpstreamReference() }));
+    }
+
+    return lines;
+  }
 
   /**
-   * Checks if the given Node is a named ClassDeclaration.
+   * Finds where the given declaration of this method is in its source file. The path of
+   * the file is relative to the directory of the generated builder by default, so it
+   * doesn't depend on where the generator runs from.
    *
-   * @param {ts.Node} node - The Node to check.
-   * @returns {node is NamedClassDeclaration}
+   * @param {CallableDeclaration} declaration - The declaration to locate.
+   * @param {string}              [from]      - The directory the path is relative to.
+   * @returns {SourceLocation}
    */
-  static isClassDeclaration = (node) => {
-    return ts.isClassDeclaration(node) && node.name !== undefined;
-  };
+  #getSourceLocation(
+    declaration,
+    from = path.dirname(path.resolve(this.generator.config.out)),
+  ) {
+    const source = declaration.getSourceFile();
+    const { line, character } = source.getLineAndCharacterOfPosition(
+      declaration.getStart(),
+    );
+
+    return {
+      file: utils.toPosixPath(path.relative(from, path.resolve(source.fileName))),
+      line: line + 1,
+      column: character + 1,
+    };
+  }
 
   /**
-   * Checks if the given named {@link ts.ClassDeclaration} is one of the builder
-   * classes configured in `ProgramGenerator`.
+   * Where every declaration of this method is found, in declaration order.
    *
-   * @param {NamedClassDeclaration} classDecl - The ClassDeclaration node to check.
-   * @returns {boolean}
+   * @type {SourceLocation[]}
    */
-  static isBuilderClassDeclaration = (classDecl) => {
-    return this.config.builders.includes(classDecl.name.text);
-  };
+  get sources() {
+    return this.declarations.map((declaration) => this.#getSourceLocation(declaration));
+  }
 
   /**
-   * Gets the text of the given TypeScript property name node.
+   * Renders the `@see` tag pointing to the upstream location of the given declaration,
+   * only when the generator is configured to emit provenance.
    *
-   * @param {ts.PropertyName} propertyName - The property name node to get the text for.
-   * @returns {string} The text of the property name node.
+   * @param {CallableDeclaration} declaration - The declaration of the overload.
+   * @returns {string[]} The rendered tag, if any.
    */
-  static getNameText = (propertyName) => {
-    return propertyName.getText();
-  };
+  #renderProvenance(declaration) {
+    if (!this.generator.config.provenance) {
+      return [];
+    }
 
-  /**
-   * @param {Record<string, any>} replacements
-   */
-  static renderTemplate(replacements) {
-    return mustache.render(this.config.template, replacements, undefined, {
-      tags: ["<%", "%>"],
-      escape(value) {
-        return value;
-      },
-    });
+    return [utils.Jsdoc.source.render(this.#getSourceLocation(declaration))];
   }
 
   /**
-   * Named {@link ts.ClassDeclaration} nodes for builder classes configured in the static config.
-   *
-   * @type {NamedClassDeclaration[]}
+   * Triggers initialization tasks for the method, such as merging its parameters.
    */
-  builders = [];
+  triggerInitTasks() {
+    return this.#step1_addParameters().#step2_assignParametersNames();
+  }
 
   /**
-   * An array containing the internal type names used by the library.
+   * Gets the text of the given type node, with its references to TypeBox types qualified
+   * by the {@link ProgramGenerator}.
+   *
+   * @param {ts.TypeNode | undefined} type     - The type node to get the text for.
+   * @param {string}                  fallback - The text to use when there is no type.
+   * @returns {string} The patched text of the type.
    */
-  internalTypes = [
-    "Static",
-    "TSchema",
-    "TMappedResult",
-    "TEnumKey",
-    "TEnumValue",
-    "TTemplateLiteral",
-    "TMappedKey",
-    "TLiteralValue",
-    "TMappedFunction",
-    "TMapped",
-    "TProperties",
-    "TIndexPropertyKeys",
-    "TTemplateLiteralKind",
-  ];
+  #getTypeText(type, fallback) {
+    if (type === undefined) {
+      return fallback;
+    }
 
-  get internalTypePattern() {
-    return new RegExp(this.internalTypes.join("|"), "g");
+    return this.generator.patchType(type, this.facade);
   }
 
   /**
-   * Named {@link ts.MethodDeclaration} nodes wrapped by the custom class {@link Method},
-   * representing methods from builder classes.
+   * Renders the `@template` tag for the given type parameter.
    *
-   * @type {Method[]}
+   * @param {ts.TypeParameterDeclaration} typeParameter - The type parameter to render.
+   * @param {Map<string, string>}         renames       - The new names of the type
+   *                                                    parameters of the overload.
+   * @returns {string} The rendered `@template` tag.
    */
-  methods = [];
+  #renderGeneric(typeParameter, renames) {
+    const rename = (/** @type {string} */ text) =>
+      Method.renameTypeParameters(text, renames);
+    const data = {
+      name: rename(typeParameter.name.getText()),
+      constraint: rename(this.#getTypeText(typeParameter.constraint, "unknown")),
+      default: rename(this.#getTypeText(typeParameter.default, "")),
+    };
 
-  /**
-   * The TypeScript program that allows us to load and analyze the source files to
-   * generate the TypeScript definitions.
-   */
-  tsProgram = ts.createProgram(this.super.config.rootFiles, {});
+    if (typeParameter.default) {
+      return utils.Jsdoc.generics.optional.render(data);
+    }
 
-  /**
-   * A TypeScript type checker that can be used to semantically analyze source files in
-   * the program.
-   */
-  typeChecker = this.tsProgram.getTypeChecker();
+    return utils.Jsdoc.generics.required.render(data);
+  }
 
   /**
-   * The source files in the TypeScript program that are configured as root files for this
-   * generator.
+   * Renders the `@param` tag for the given parameter of an overload.
+   *
+   * @param {ts.ParameterDeclaration} parameter - The parameter to render.
+   * @param {Map<string, string>}     renames   - The new names of the type parameters of
+   *                                            the overload.
+   * @returns {string} The rendered `@param` tag.
    */
-  sources = this.tsProgram.getSourceFiles().filter(this.super.isRootFileSource);
+  #renderParameter(parameter, renames) {
+    const type = Method.renameTypeParameters(
+      this.#getTypeText(parameter.type, "any"),
+      renames,
+    );
+    const data = {
+      name: Parameter.getDeclarationName(parameter),
+      type: parameter.dotDotDotToken ? utils.addPrefix("...", "", type) : type,
+    };
 
-  constructor() {
-    this.#fillBuilders().#fillOptionTypeNames().#fillMethods();
-    utils.hideProperties(this, "tsProgram", "typeChecker");
+    if (parameter.questionToken || parameter.initializer) {
+      return utils.Jsdoc.params.optional.render(data);
+    }
+
+    return utils.Jsdoc.params.required.render(data);
   }
 
   /**
-   * Fills the builders array with NamedClassDeclaration nodes for any builder classes
-   * configured in the static config.
+   * Renders the JSDoc comment for the overload described by the given declaration.
+   *
+   * Type parameters live in the scope of the whole method in JavaScript, so the ones
+   * whose name is already taken by a previous overload are renamed, as the same name with
+   * a different constraint makes the overloads conflict.
+   *
+   * @param {CallableDeclaration} declaration - The declaration of the overload.
+   * @param {Set<string>}         taken       - The names of the type parameters of the
+   *                                          previous overloads. The names of this
+   *                                          overload are added to it.
+   * @returns {string[]} The lines of the rendered comment.
+   */
+  #renderOverload(declaration, taken) {
+    const lines = [utils.Jsdoc.start, utils.Jsdoc.description.render(this)];
+    const names = (declaration.typeParameters ?? []).map((typeParameter) => {
+      return typeParameter.name.getText();
+    });
+    /**
+     * @type {Map<string, string>}
+     */
+    const renames = new Map();
+
+    names
+      .filter((name) => taken.has(name))
+      .forEach((name) => {
+        let i = 2;
+
+        while (taken.has(`${name}${i}`) || names.includes(`${name}${i}`)) {
+          i++;
+        }
+
+        renames.set(name, `${name}${i}`);
+        taken.add(`${name}${i}`);
+      });
+    names.forEach((name) => taken.add(name));
+
+    lines.push(utils.Jsdoc.emptyLine);
+
+    declaration.typeParameters?.forEach((typeParameter) => {
+      lines.push(this.#renderGeneric(typeParameter, renames));
+    });
+
+    lines.push(utils.Jsdoc.overload);
+
+    declaration.parameters.forEach((parameter) => {
+      lines.push(this.#renderParameter(parameter, renames));
+    });
+
+    lines.push(
+      utils.Jsdoc.return.render({
+        type: Method.renameTypeParameters(this.#getReturnTypeText(declaration), renames),
+      }),
+    );
+
+    lines.push(
+      ...this.#renderTrailingTags(),
+      ...this.#renderProvenance(declaration),
+      utils.Jsdoc.end,
+    );
+
+    return lines;
+  }
+
+  /**
+   * Renders the JSDoc comment for the implementation of this method. Its signature has
+   * to be compatible with every overload, so the parameters are typed as `any` and
+   * marked as optional when at least one overload doesn't require them.
+   *
+   * @returns {string[]} The lines of the rendered comment.
+   */
+  #renderImplementation() {
+    const lines = [utils.Jsdoc.start, utils.Jsdoc.description.render(this)];
+
+    lines.push(utils.Jsdoc.emptyLine);
+
+    this.parameters.forEach((parameter) => {
+      const data = { name: parameter.name, type: parameter.isRest ? "...any" : "any" };
+
+      if (parameter.isOptional && !parameter.isRest) {
+        lines.push(utils.Jsdoc.params.optional.render(data));
+      } else {
+        lines.push(utils.Jsdoc.params.required.render(data));
+      }
+    });
+
+    lines.push(utils.Jsdoc.return.render({ type: "any" }));
+
+    lines.push(...this.#renderTrailingTags(), utils.Jsdoc.end);
+
+    return lines;
+  }
+
+  /**
+   * Renders the TypeScript signature of the overload described by the given declaration,
+   * as it goes in the declaration file of the builder.
+   *
+   * @param {CallableDeclaration} declaration - The declaration of the overload.
+   * @returns {string} The rendered signature.
+   */
+  #renderSignature(declaration) {
+    const generics = (declaration.typeParameters || []).map((typeParameter) => {
+      let text = typeParameter.name.getText();
+
+      if (typeParameter.constraint) {
+        text += ` extends ${this.#getTypeText(typeParameter.constraint, "unknown")}`;
+      }
+
+      if (typeParameter.default) {
+        text += ` = ${this.#getTypeText(typeParameter.default, "unknown")}`;
+      }
+
+      return text;
+    });
+    const parameters = declaration.parameters.map((parameter) => {
+      const name = Parameter.getDeclarationName(parameter);
+      const type = this.#getTypeText(parameter.type, "any");
+
+      if (Parameter.isRestDeclaration(parameter)) {
+        return `...${name}: ${type}`;
+      }
+
+      if (Parameter.isOptionalDeclaration(parameter)) {
+        return `${name}?: ${type}`;
+      }
+
+      return `${name}: ${type}`;
+    });
+    const returns = this.#getReturnTypeText(declaration);
+    const typeParameters = generics.length > 0 ? `<${generics.join(", ")}>` : "";
+
+    return `${this.name}${typeParameters}(${parameters.join(", ")}): ${returns};`;
+  }
+
+  /**
+   * Checks if the given overload returns a schema, in which case the builder wraps it as
+   * a fluent schema. Methods of facades are never wrapped.
+   *
+   * @param {CallableDeclaration} declaration - The declaration of the overload.
+   * @returns {boolean}
+   */
+  #isFluentOverload(declaration) {
+    if (!this.generator.config.fluent || this.facade || declaration.type === undefined) {
+      return false;
+    }
+
+    const checker = this.generator.typeChecker;
+    const type = checker.getApparentType(checker.getTypeAtLocation(declaration.type));
+    const names = this.generator.schemaPropertyNames;
+
+    const properties = new Set(
+      type.getProperties().map((property) => getPropertyKey(property)),
+    );
+
+    return names.length > 0 && names.every((name) => properties.has(name));
+  }
+
+  /**
+   * Whether at least one overload of this method returns a fluent schema.
+   */
+  get isFluent() {
+    return this.declarations.some((declaration) => this.#isFluentOverload(declaration));
+  }
+
+  /**
+   * The keywords set by the `.min()` and `.max()` modifiers of the schemas this method
+   * creates, found in the options it accepts, if any.
+   *
+   * @type {[string, string] | undefined}
+   */
+  get limits() {
+    const checker = this.generator.typeChecker;
+    const types = this.declarations
+      .flatMap((declaration) => [...declaration.parameters])
+      .map((parameter) =>
+        checker.getNonNullableType(checker.getTypeAtLocation(parameter)),
+      );
+
+    return /** @type {[string, string] | undefined} */ (
+      LIMIT_KEYWORDS.find((keywords) => {
+        return types.some((type) =>
+          keywords.every((keyword) => type.getProperty(keyword)),
+        );
+      })
+    );
+  }
+
+  /**
+   * Gets the text of the type returned by the given overload, wrapped in the `Fluent`
+   * type when the overload returns a fluent schema.
+   *
+   * @param {CallableDeclaration} declaration - The declaration of the overload.
+   * @returns {string}
+   */
+  #getReturnTypeText(declaration) {
+    const type = this.#getTypeText(declaration.type, "any");
+
+    if (!this.#isFluentOverload(declaration)) {
+      return type;
+    }
+
+    return this.limits ? `Fluent<${type}, true>` : `Fluent<${type}>`;
+  }
+
+  /**
+   * Generates the template data for the declaration file of this method, with one
+   * signature per declaration.
+   *
+   * @returns Object containing name and the list of overloads, each one with its JSDoc
+   *          comment and signature.
+   */
+  getDeclarationTemplateData() {
+    const signatures = this.getSignatures();
+
+    return {
+      name: this.name,
+      overloads: this.declarations.map((declaration, i) => {
+        const comment = [utils.Jsdoc.start, utils.Jsdoc.description.render(this)];
+        const trailingTags = [
+          ...this.#renderTrailingTags(),
+          ...this.#renderProvenance(declaration),
+        ];
+
+        if (trailingTags.length > 0) {
+          comment.push(utils.Jsdoc.emptyLine, ...trailingTags);
+        }
+
+        comment.push(utils.Jsdoc.end);
+
+        return { comment: comment.join("\n"), signature: signatures[i] };
+      }),
+    };
+  }
+
+  /**
+   * Generates the template data for the Markdown API reference of this method, with the
+   * signature, generics, parameters, return type and upstream location of every overload.
+   *
+   * @param {string} docsPath - The path of the Markdown file, used to link the upstream
+   *                          declarations relatively to it.
+   * @returns Object containing name, description and the list of documented overloads.
+   */
+  getDocumentationTemplateData(docsPath) {
+    const signatures = this.getSignatures();
+    const overloads = this.declarations.map((declaration, i) => {
+      const { file, line } = this.#getSourceLocation(
+        declaration,
+        path.dirname(path.resolve(docsPath)),
+      );
+      const generics = (declaration.typeParameters || []).map((typeParameter) => ({
+        name: typeParameter.name.getText(),
+        constraint: utils.renderCodeCell(
+          this.#getTypeText(typeParameter.constraint, "unknown"),
+        ),
+        default: utils.renderCodeCell(this.#getTypeText(typeParameter.default, "")),
+      }));
+      const parameters = declaration.parameters.map((parameter) => ({
+        name: Parameter.getDeclarationName(parameter),
+        type: utils.renderCodeCell(this.#getTypeText(parameter.type, "any")),
+        optional: Parameter.isOptionalDeclaration(parameter) ? "Yes" : "No",
+        rest: Parameter.isRestDeclaration(parameter),
+      }));
+
+      return {
+        number: i + 1,
+        numbered: this.declarations.length > 1,
+        signature: signatures[i],
+        generics,
+        hasGenerics: generics.length > 0,
+        parameters,
+        hasParameters: parameters.length > 0,
+        returns: this.#getReturnTypeText(declaration),
+        location: `${path.basename(file)}:${line}`,
+        link: `${file}#L${line}`,
+      };
+    });
+
+    return {
+      name: this.name,
+      anchor: this.name.toLowerCase(),
+      description: this.description,
+      original: this.name !== this.originalName ? this.originalName : undefined,
+      overloads,
+    };
+  }
+
+  /**
+   * Builds the arguments the smoke tests call the given overload with, from the
+   * {@link SAMPLE_ARGUMENTS} matching the type of each required parameter.
+   *
+   * @param {CallableDeclaration} declaration - The declaration of the overload.
+   * @returns {string | undefined} The comma-separated arguments, or `undefined` when a
+   *                               required parameter has no sample argument.
+   */
+  #getSampleArguments(declaration) {
+    const constraints = new Map(
+      (declaration.typeParameters || []).map((typeParameter) => [
+        typeParameter.name.getText(),
+        this.#getTypeText(typeParameter.constraint, "unknown"),
+      ]),
+    );
+    const samples = declaration.parameters
+      .filter((parameter) => !Parameter.isOptionalDeclaration(parameter))
+      .map((parameter) => {
+        const type = this.#getTypeText(parameter.type, "any");
+        // A rest parameter typed as a variadic tuple, like `[...T]`, takes T's constraint.
+        const [, variadic] = type.match(/^(?:readonly )?\[\.\.\.(\w+)\]$/) || [];
+        const name = variadic ?? type;
+
+        return /** @type {string | undefined} */ (
+          SAMPLE_ARGUMENTS[constraints.get(name) ?? name]
+        );
+      });
+
+    if (samples.includes(undefined)) {
+      return undefined;
+    }
+
+    return samples.join(", ");
+  }
+
+  /**
+   * Generates the template data for the smoke tests of this method, with one case per
+   * overload that can be called with {@link SAMPLE_ARGUMENTS}. Overloads resolving to the
+   * same arguments are tested once.
+   *
+   * @returns Object containing name, original name and the list of test cases.
+   */
+  getTestTemplateData() {
+    const cases = utils
+      .getUnique(
+        this.declarations.map((declaration) => this.#getSampleArguments(declaration)),
+      )
+      .filter((args) => args !== undefined)
+      .map((args, i) => ({ number: i + 1, arguments: args }));
+
+    return { name: this.name, original: this.originalName, cases };
+  }
+
+  /**
+   * Renders the TypeScript signature of every overload of this method.
+   *
+   * @returns {string[]} The rendered signatures, in declaration order.
+   */
+  getSignatures() {
+    return this.declarations.map((declaration) => this.#renderSignature(declaration));
+  }
+
+  /**
+   * Generates template data for this method based on its declarations. The comment
+   * contains one `@overload` block per declaration, followed by the block documenting the
+   * implementation.
+   *
+   * @returns Object containing name, JSDoc comment, and comma-separated parameter and
+   *          argument lists.
+   */
+  getTemplateData() {
+    /**
+     * @type {Set<string>}
+     */
+    const taken = new Set();
+    const commentLines = this.declarations
+      .map((declaration) => this.#renderOverload(declaration, taken))
+      .flat();
+
+    commentLines.push(...this.#renderImplementation());
+
+    return {
+      name: this.name,
+      original: this.originalName,
+      comment: commentLines.join("\n"),
+      parameters: this.parameters.map((p) => p.toParameterText()).join(", "),
+      arguments: this.parameters.map((p) => p.toArgumentText()).join(", "),
+      fluent: this.isFluent,
+      limits: this.limits && JSON.stringify(this.limits),
+    };
+  }
+}
+
+/* -------------------------------------------------------------------------- */
+/*                           Class Program Generator                          */
+/* -------------------------------------------------------------------------- */
+export class ProgramGenerator {
+  /**
+   * Default configuration object that defines parameters for generating TypeScript type
+   * definitions from the configured builder classes. Paths are relative to the current
+   * working directory, except for the templates, which are the ones of this package.
+   *
+   * @type {Readonly<GeneratorConfig>}
+   */
+  static config = Object.freeze({
+    dir: "node_modules/@sinclair/typebox/build/import/type/type",
+    /**
+     * Declaration file of the TypeBox entry module, whose exports can be referenced through
+     * the `typebox` namespace in the generated code.
+     */
+    entry: "node_modules/@sinclair/typebox/build/import/index.d.mts",
+    /**
+     * Class names that will be used to generate TypeScript type definitions.
+     */
+    builders: ["JavaScriptTypeBuilder", "JsonTypeBuilder"],
+    /**
+     * Root source files, relative to `dir`, that will be used to generate TypeScript type
+     * definitions for the configured builder classes.
+     */
+    rootFiles: ["json.d.mts", "javascript.d.mts"],
+    /**
+     * Template is used to generate the output for the configured builders.
+     */
+    template: path.join(TEMPLATES_DIR, "builder.mustache"),
+    /**
+     * Template used to generate the declaration file for the configured builders.
+     */
+    declarationTemplate: path.join(TEMPLATES_DIR, "builder.d.mustache"),
+    /**
+     * Path of the generated builder file.
+     */
+    out: "./lib/builder.js",
+    /**
+     * Whether to generate a declaration file next to the builder file.
+     */
+    declaration: true,
+    /**
+     * Path of the generated Markdown API reference, or `false` to skip it.
+     *
+     * @type {string | false}
+     */
+    docs: false,
+    /**
+     * Template used to generate the Markdown API reference.
+     */
+    docsTemplate: path.join(TEMPLATES_DIR, "builder.md.mustache"),
+    /**
+     * Whether to generate a `node:test` suite next to the builder file, checking that every
+     * method creates the same schemas as TypeBox.
+     */
+    tests: false,
+    /**
+     * Template used to generate the smoke test suite.
+     */
+    testTemplate: path.join(TEMPLATES_DIR, "builder.test.mustache"),
+    /**
+     * Whether the builder wraps the schemas it creates as fluent schemas, with chainable
+     * modifiers like `.optional()` or `.describe()`.
+     */
+    fluent: true,
+    /**
+     * Namespaces of TypeBox whose functions are wrapped in their own generated module, next
+     * to the builder. None by default, see {@link TYPEBOX_FACADES} for the ones TypeBox
+     * provides.
+     *
+     * @type {FacadeConfig[]}
+     */
+    facades: [],
+    /**
+     * Template used to generate the module of every facade.
+     */
+    facadeTemplate: path.join(TEMPLATES_DIR, "facade.mustache"),
+    /**
+     * Template used to generate the declaration file of every facade.
+     */
+    facadeDeclarationTemplate: path.join(TEMPLATES_DIR, "facade.d.mustache"),
+    /**
+     * Whether to tag every overload with the location of its upstream declaration and to
+     * write a JSON manifest of those locations next to the builder file.
+     */
+    provenance: false,
+    /**
+     * In-memory declaration files, keyed by their path relative to `dir`. They take
+     * precedence over the files on disk, which allows generating from fixtures.
+     *
+     * @type {Record<string, string>}
+     */
+    sources: {},
+    /**
+     * Rules to select, rename and alias the methods of the generated builder. Every rule
+     * references methods by their TypeBox name.
+     */
+    methods: {},
+    /**
+     * Plugins hooked into the generation. In a configuration file they can also be given as
+     * module paths, whose default export is the plugin.
+     */
+    plugins: [],
+  });
+
+  /**
+   * Gets the path of the declaration file that goes with the given builder file.
+   *
+   * @param {string} out - The path of the builder file.
+   * @returns {string}
+   */
+  static getDeclarationPath = (out) => {
+    return out.replace(/\.m?js$/, "") + ".d.ts";
+  };
+
+  /**
+   * Gets the absolute paths of the files the TypeScript program of the given configuration
+   * starts from: the root files and the entry module.
+   *
+   * @param {GeneratorConfig} config - The configuration of the generator.
+   * @returns {string[]}
+   */
+  static getProgramRootNames = (config) => {
+    return [
+      ...config.rootFiles.map((file) => path.resolve(config.dir, file)),
+      path.resolve(config.entry),
+      ...config.facades.map((facade) => path.resolve(facade.entry)),
+    ];
+  };
+
+  /**
+   * Creates the TypeScript program of the given configuration, reading its
+   * {@link GeneratorConfig.sources in-memory sources} instead of the files on disk when
+   * they are given.
+   *
+   * @param {GeneratorConfig} config - The configuration of the generator.
+   * @returns {ts.Program}
+   */
+  static createProgram = (config) => {
+    const sources = new Map(
+      Object.entries(config.sources).map(([file, text]) => {
+        return [path.resolve(config.dir, file), text];
+      }),
+    );
+    const host = ts.createCompilerHost({});
+    const { fileExists, readFile, getSourceFile } = host;
+
+    host.fileExists = (fileName) => {
+      return sources.has(path.resolve(fileName)) || fileExists.call(host, fileName);
+    };
+    host.readFile = (fileName) => {
+      return sources.get(path.resolve(fileName)) ?? readFile.call(host, fileName);
+    };
+    host.getSourceFile = (fileName, languageVersion, ...rest) => {
+      const text = sources.get(path.resolve(fileName));
+
+      if (text === undefined) {
+        return getSourceFile.call(host, fileName, languageVersion, ...rest);
+      }
+
+      return ts.createSourceFile(fileName, text, languageVersion, true);
+    };
+
+    return ts.createProgram(ProgramGenerator.getProgramRootNames(config), {}, host);
+  };
+
+  /**
+   * Gets the path of the provenance manifest that goes with the given builder file.
+   *
+   * @param {string} out - The path of the builder file.
+   * @returns {string}
+   */
+  static getManifestPath = (out) => {
+    return out.replace(/\.m?js$/, "") + ".manifest.json";
+  };
+
+  /**
+   * Gets the path of the smoke test suite that goes with the given builder file.
+   *
+   * @param {string} out - The path of the builder file.
+   * @returns {string}
+   */
+  static getTestPath = (out) => {
+    return out.replace(/(\.m?js)$/, ".test$1");
+  };
+
+  /**
+   * Checks if the given Node is a named ClassDeclaration.
+   *
+   * @param {ts.Node} node - The Node to check.
+   * @returns {node is NamedClassDeclaration}
+   */
+  static isClassDeclaration = (node) => {
+    return ts.isClassDeclaration(node) && node.name !== undefined;
+  };
+
+  /**
+   * Gets the text of the given TypeScript property name node.
+   *
+   * @param {ts.PropertyName} propertyName - The property name node to get the text for.
+   * @returns {string} The text of the property name node.
+   */
+  static getNameText = (propertyName) => {
+    return propertyName.getText();
+  };
+
+  /**
+   * Checks if the given identifier is the name of a type reference, i.e. the part of a
+   * type that points to a symbol declared somewhere else.
+   *
+   * @param {ts.Identifier} identifier - The identifier to check.
+   * @returns {boolean}
+   */
+  static isTypeReferenceName = (identifier) => {
+    const parent = identifier.parent;
+
+    return (
+      (ts.isTypeReferenceNode(parent) && parent.typeName === identifier) ||
+      (ts.isQualifiedName(parent) && parent.left === identifier) ||
+      (ts.isTypeQueryNode(parent) && parent.exprName === identifier) ||
+      (ts.isExpressionWithTypeArguments(parent) && parent.expression === identifier)
+    );
+  };
+
+  /**
+   * @param {string}              template     - The template to render.
+   * @param {Record<string, any>} replacements
+   */
+  static renderTemplate(template, replacements) {
+    return mustache.render(template, replacements, undefined, {
+      tags: ["<%", "%>"],
+      escape(value) {
+        return value;
+      },
+    });
+  }
+
+  /**
+   * Named {@link ts.ClassDeclaration} nodes for builder classes configured in the config.
+   *
+   * @type {NamedClassDeclaration[]}
+   */
+  builders = [];
+
+  /**
+   * Symbols exported by the TypeBox entry module, mapped to the name they're exported
+   * under.
+   *
+   * @type {Map<ts.Symbol, string>}
+   */
+  exports = new Map();
+
+  /**
+   * The configured facades, with the functions collected from their namespaces.
+   *
+   * @type {Facade[]}
+   */
+  facades = [];
+
+  /**
+   * Names of the type references that couldn't be resolved to a TypeBox export, mapped to
+   * the locations where they were found. Types are patched on every render, so locations
+   * are kept in a set to list each of them once.
+   *
+   * @type {Map<string, Set<string>>}
+   */
+  unresolvedTypes = new Map();
+
+  /**
+   * Named {@link ts.MethodDeclaration} nodes wrapped by the custom class {@link Method},
+   * representing methods from builder classes.
+   *
+   * @type {Method[]}
+   */
+  methods = [];
+
+  /**
+   * Problems found while applying the configured method rules, like rules referencing
+   * methods that don't exist in the builder classes.
+   *
+   * @type {string[]}
+   */
+  ruleWarnings = [];
+
+  /**
+   * Cache of {@link ProgramGenerator.schemaPropertyNames}.
+   *
+   * @type {string[] | undefined}
+   */
+  #schemaPropertyNames;
+
+  /**
+   * @param {GeneratorConfig} [config] - The configuration of this generator, the
+   *                                   {@link ProgramGenerator.config default one} when
+   *                                   omitted.
+   * @param {ts.Program}      [program] - An already created TypeScript program for the
+   *                                    configured files, like the one of a watcher. A new
+   *                                    one is created when omitted.
+   */
+  constructor(config = ProgramGenerator.config, program) {
+    /**
+     * The configuration of this generator.
+     */
+    this.config = config;
+
+    /**
+     * The absolute paths of the root files configured for this generator.
+     */
+    this.rootFiles = config.rootFiles.map((file) => path.resolve(config.dir, file));
+
+    /**
+     * The TypeScript program that allows us to load and analyze the source files to
+     * generate the TypeScript definitions.
+     */
+    this.tsProgram = program ?? ProgramGenerator.createProgram(config);
+
+    /**
+     * A TypeScript type checker that can be used to semantically analyze source files in
+     * the program.
+     */
+    this.typeChecker = this.tsProgram.getTypeChecker();
+
+    /**
+     * The source files in the TypeScript program that are configured as root files for
+     * this generator.
+     */
+    this.sources = this.tsProgram.getSourceFiles().filter(this.isRootFileSource);
+
+    /**
+     * The plugins of this generator, whose hooks are called in order.
+     */
+    this.plugins = config.plugins;
+
+    this.#fillExports().#fillBuilders();
+    this.#runHook("buildersCollected", this.#getPluginContext());
+    this.#fillMethods().#applyMethodRules().#fillFacades().#transformMethods();
+    utils.hideProperties(this, "tsProgram", "typeChecker");
+  }
+
+  /**
+   * Checks if the given source file is one of the root files configured for this Program
+   * Generator.
+   *
+   * @param {ts.SourceFile} source - The source file to check.
+   * @returns {boolean} Whether the source file is a root file.
+   */
+  isRootFileSource = (source) => {
+    return this.rootFiles.includes(path.resolve(source.fileName));
+  };
+
+  /**
+   * Checks if the given named {@link ts.ClassDeclaration} is one of the builder
+   * classes configured in this generator.
+   *
+   * @param {NamedClassDeclaration} classDecl - The ClassDeclaration node to check.
+   * @returns {boolean}
+   */
+  isBuilderClassDeclaration = (classDecl) => {
+    return this.config.builders.includes(classDecl.name.text);
+  };
+
+  /**
+   * Fills the builders array with NamedClassDeclaration nodes for any builder classes
+   * configured in the config.
+   *
+   * @returns {this}
+   */
+  #fillBuilders() {
+    this.sources.forEach((source) => {
+      source.forEachChild((node) => {
+        if (this.super.isClassDeclaration(node)) {
+          if (this.isBuilderClassDeclaration(node)) {
+            this.builders.push(node);
+          }
+        }
+      });
+    });
+
+    return this;
+  }
+
+  /**
+   * Fills the exports map with the symbols exported by the TypeBox entry module.
+   *
+   * @returns {this}
+   */
+  #fillExports() {
+    const entry = this.tsProgram.getSourceFile(path.resolve(this.config.entry));
+    const moduleSymbol = entry && this.typeChecker.getSymbolAtLocation(entry);
+
+    if (moduleSymbol === undefined) {
+      throw new Error(`Unable to load the TypeBox entry module at ${this.config.entry}.`);
+    }
+
+    this.typeChecker.getExportsOfModule(moduleSymbol).forEach((symbol) => {
+      this.exports.set(this.resolveSymbol(symbol), symbol.getName());
+    });
+
+    return this;
+  }
+
+  /**
+   * Fills the methods array with {@link Method} instances.
+   *
+   * @returns {this}
+   */
+  #fillMethods() {
+    const rawMethods = this.builders
+      .map(utils.pickProperty("members"))
+      .flat()
+      .filter(ts.isMethodDeclaration)
+      .filter(utils.hasProperty("name"));
+
+    const names = utils
+      .getUnique(rawMethods.map(utils.pickProperty("name")).map(this.super.getNameText))
+      .sort(utils.compareAlphabetically);
+
+    const groupings = utils.groupBy(rawMethods, (el) => this.super.getNameText(el.name));
+
+    this.methods.push(...names.map(Method.init.bind(null, this)));
+
+    this.methods.forEach((method) => {
+      method.addDeclarations(...groupings[method.name]);
+      method.triggerInitTasks();
+    });
+
+    return this;
+  }
+
+  /**
+   * Applies the configured method rules to the methods array: filters the methods with
+   * the `include` and `exclude` lists, renames them and adds their aliases. Rules that
+   * reference unknown or left out methods and names used twice are added to
+   * {@link ProgramGenerator.ruleWarnings}.
+   *
+   * @returns {this}
+   */
+  #applyMethodRules() {
+    const { include, exclude = [] } = this.config.methods;
+    /**
+     * @type {Record<string, string>}
+     */
+    const rename = this.config.methods.rename ?? {};
+    /**
+     * @type {Record<string, string[]>}
+     */
+    const aliases = this.config.methods.aliases ?? {};
+    const upstream = this.methods.map(utils.pickProperty("name"));
+    /**
+     * @type {[string, string[]][]}
+     */
+    const rules = [
+      ["include", include || []],
+      ["exclude", exclude],
+      ["rename", Object.keys(rename)],
+      ["aliases", Object.keys(aliases)],
+    ];
+
+    rules.forEach(([rule, names]) => {
+      names
+        .filter((name) => !upstream.includes(name))
+        .forEach((name) => {
+          this.ruleWarnings.push(
+            `The ${rule} rule references ${name}, which is not a method of the builders.`,
+          );
+        });
+    });
+
+    const selected = this.methods.filter((method) => {
+      return (
+        (include === undefined || include.includes(method.name)) &&
+        !exclude.includes(method.name)
+      );
+    });
+
+    const selectedNames = selected.map(utils.pickProperty("name"));
+
+    rules
+      .filter(([rule]) => rule === "rename" || rule === "aliases")
+      .forEach(([rule, names]) => {
+        names
+          .filter((name) => upstream.includes(name) && !selectedNames.includes(name))
+          .forEach((name) => {
+            this.ruleWarnings.push(
+              `The ${rule} rule references ${name}, which is left out by the include or exclude rules.`,
+            );
+          });
+      });
+
+    selected.forEach((method) => {
+      if (rename[method.originalName] !== undefined) {
+        method.rename(rename[method.originalName]);
+      }
+    });
+
+    selected.slice().forEach((method) => {
+      (aliases[method.originalName] || []).forEach((name) => {
+        selected.push(method.createAlias(name));
+      });
+    });
+
+    /**
+     * @type {string[]}
+     */
+    const taken = [];
+
+    this.methods = selected
+      .filter((method) => {
+        if (taken.includes(method.name)) {
+          this.ruleWarnings.push(
+            `The name ${method.name} is used by more than one method, only the first one is kept.`,
+          );
+
+          return false;
+        }
+
+        taken.push(method.name);
+
+        return true;
+      })
+      .sort(utils.comparePropertyAlphabetically("name"));
+
+    return this;
+  }
+
+  /**
+   * The names of the options types exported by TypeBox, like `StringOptions`.
+   *
+   * @type {string[]}
+   */
+  get optionTypeNames() {
+    return Array.from(this.exports.values())
+      .filter((name) => name.endsWith("Options"))
+      .sort(utils.compareAlphabetically);
+  }
+
+  /**
+   * Names of the required properties of `TSchema`, which a type must have to be
+   * considered a schema.
+   *
+   * @type {string[]}
+   */
+  get schemaPropertyNames() {
+    if (this.#schemaPropertyNames === undefined) {
+      const symbol = [...this.exports].find(([, name]) => name === "TSchema")?.[0];
+      const type = symbol && this.typeChecker.getDeclaredTypeOfSymbol(symbol);
+
+      this.#schemaPropertyNames = (type?.getProperties() || [])
+        .filter((property) => !(property.flags & ts.SymbolFlags.Optional))
+        .map((property) => getPropertyKey(property));
+    }
+
+    return this.#schemaPropertyNames;
+  }
+
+  /**
+   * The version of the TypeBox package the entry module belongs to, read from the closest
+   * `package.json` named `@sinclair/typebox`, or `"unknown"` when there is none.
+   *
+   * @type {string}
+   */
+  get typeboxVersion() {
+    let dir = path.dirname(path.resolve(this.config.entry));
+
+    while (dir !== path.dirname(dir)) {
+      const file = path.join(dir, "package.json");
+
+      if (fs.existsSync(file)) {
+        const pkg = JSON.parse(fs.readFileSync(file, "utf-8"));
+
+        if (pkg.name === "@sinclair/typebox") {
+          return pkg.version;
+        }
+      }
+
+      dir = path.dirname(dir);
+    }
+
+    return "unknown";
+  }
+
+  /**
+   * Gathers the problems found while generating: configured builder classes missing from
+   * the root files, syntax errors in the root files, method rules that couldn't be
+   * applied and type references that couldn't be resolved. Type references are resolved
+   * while rendering, so the unresolved ones are only reported after a render.
+   *
+   * @returns {GeneratorDiagnostic[]}
+   */
+  getDiagnostics() {
+    const found = this.builders.map((builder) => builder.name.text);
+    /**
+     * @type {GeneratorDiagnostic[]}
+     */
+    const diagnostics = this.config.builders
+      .filter((name) => !found.includes(name))
+      .map((name) => ({
+        category: "error",
+        code: "missing-builder",
+        message: `The builder class ${name} was not found in the root files.`,
+        locations: [],
+      }));
+
+    this.sources.forEach((source) => {
+      this.tsProgram.getSyntacticDiagnostics(source).forEach((diagnostic) => {
+        const { line } = source.getLineAndCharacterOfPosition(diagnostic.start || 0);
+
+        diagnostics.push({
+          category: "error",
+          code: `TS${diagnostic.code}`,
+          message: ts.flattenDiagnosticMessageText(diagnostic.messageText, "\n"),
+          locations: [`${source.fileName}:${line + 1}`],
+        });
+      });
+    });
+
+    this.ruleWarnings.forEach((message) => {
+      diagnostics.push({
+        category: "warning",
+        code: "method-rule",
+        message,
+        locations: [],
+      });
+    });
+
+    this.unresolvedTypes.forEach((locations, name) => {
+      diagnostics.push({
+        category: "warning",
+        code: "unresolved-type",
+        message: `Unable to resolve the type ${name} to a TypeBox export.`,
+        locations: [...locations],
+      });
+    });
+
+    return diagnostics;
+  }
+
+  /**
+   * Passes every method, including the ones of the facades, through the `transformMethod`
+   * hook of the plugins. A plugin can return a replacement for the method, `null` to
+   * remove it, or nothing to keep it as it is.
+   *
+   * @returns {this}
+   */
+  #transformMethods() {
+    const context = this.#getPluginContext();
+
+    /**
+     * @param {Method[]} methods
+     * @returns {Method[]}
+     */
+    const transform = (methods) => {
+      return this.plugins.reduce((current, plugin) => {
+        if (plugin.transformMethod === undefined) {
+          return current;
+        }
+
+        return current.flatMap((method) => {
+          const result = this.#callHook(plugin, "transformMethod", method, context);
+
+          if (result === null) {
+            return [];
+          }
+
+          return [result || method];
+        });
+      }, methods);
+    };
+
+    this.methods = transform(this.methods);
+    this.facades.forEach((facade) => {
+      facade.methods = transform(facade.methods);
+    });
+
+    return this;
+  }
+
+  /**
+   * Gets the context object given to the plugin hooks.
+   *
+   * @returns {PluginContext}
+   */
+  #getPluginContext() {
+    return { generator: this, program: this.tsProgram, config: this.config };
+  }
+
+  /**
+   * Calls the given hook of a plugin, wrapping any error it throws with the name of the
+   * plugin.
+   *
+   * @template {keyof PluginHooks} H
+   * @param {GeneratorPlugin}         plugin - The plugin to call.
+   * @param {H}                       hook   - The name of the hook.
+   * @param {Parameters<PluginHooks[H]>} args   - The arguments for the hook.
+   * @returns {ReturnType<PluginHooks[H]> | undefined} What the hook returns, or
+   *                                                   `undefined` when the plugin doesn't
+   *                                                   define it.
+   */
+  #callHook(plugin, hook, ...args) {
+    // TypeScript can't correlate the hook of the plugin with the arguments of the same hook.
+    const callback =
+      /** @type {((...args: Parameters<PluginHooks[H]>) => ReturnType<PluginHooks[H]>) | undefined} */ (
+        plugin[hook]
+      );
+
+    try {
+      return callback?.(...args);
+    } catch (error) {
+      throw new Error(`The ${plugin.name} plugin failed in its ${hook} hook.`, {
+        cause: error,
+      });
+    }
+  }
+
+  /**
+   * Calls the given hook of every plugin that defines it, in order.
+   *
+   * @template {keyof PluginHooks} H
+   * @param {H}                          hook - The name of the hook.
+   * @param {Parameters<PluginHooks[H]>} args - The arguments for the hook.
+   */
+  #runHook(hook, ...args) {
+    this.plugins.forEach((plugin) => {
+      this.#callHook(plugin, hook, ...args);
+    });
+  }
+
+  /**
+   * Passes a value through the given asynchronous hook of every plugin that defines it,
+   * in order. Each plugin receives the value returned by the previous one, and keeps it
+   * when it returns nothing.
+   *
+   * @template {"beforeRender" | "afterFormat"} H
+   * @template V
+   * @param {H}             hook    - The name of the hook.
+   * @param {V}             value   - The initial value.
+   * @param {RenderContext} context - The context of the rendering.
+   * @returns {Promise<V>} The value returned by the last plugin.
+   */
+  async #pipeHook(hook, value, context) {
+    let result = value;
+
+    for (const plugin of this.plugins) {
+      // TypeScript can't correlate the hook of the plugin with the type of the value.
+      const callback =
+        /** @type {((value: V, context: RenderContext) => Awaitable<V | void>) | undefined} */ (
+          plugin[hook]
+        );
+
+      try {
+        result = (await callback?.(result, context)) ?? result;
+      } catch (error) {
+        throw new Error(`The ${plugin.name} plugin failed in its ${hook} hook.`, {
+          cause: error,
+        });
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Follows the given symbol through its aliases (imports and re-exports) up to the
+   * symbol of the actual declaration.
+   *
+   * @param {ts.Symbol} symbol - The symbol to resolve.
+   * @returns {ts.Symbol} The symbol of the declaration.
+   */
+  resolveSymbol(symbol) {
+    if (symbol.flags & ts.SymbolFlags.Alias) {
+      return this.typeChecker.getAliasedSymbol(symbol);
+    }
+
+    return symbol;
+  }
+
+  /**
+   * Collects the functions exported by the namespace of every configured facade, like the
+   * ones of `Value`, which is a module re-exported as a namespace, or `TypeCompiler`,
+   * which is a declared namespace. Each function becomes a {@link Method} documented with
+   * the upstream comment of its first declaration.
    *
    * @returns {this}
    */
-  #fillBuilders() {
-    this.sources.forEach((source) => {
-      source.forEachChild((node) => {
-        if (this.super.isClassDeclaration(node)) {
-          if (this.super.isBuilderClassDeclaration(node)) {
-            this.builders.push(node);
-          }
-        }
+  #fillFacades() {
+    this.config.facades.forEach((config) => {
+      const entry = this.tsProgram.getSourceFile(path.resolve(config.entry));
+      const moduleSymbol = entry && this.typeChecker.getSymbolAtLocation(entry);
+
+      if (moduleSymbol === undefined) {
+        throw new Error(
+          `Unable to load the ${config.name} entry module at ${config.entry}.`,
+        );
+      }
+
+      const exports = this.typeChecker.getExportsOfModule(moduleSymbol);
+      const namespace = exports.find((symbol) => symbol.getName() === config.name);
+
+      if (namespace === undefined) {
+        throw new Error(
+          `The ${config.name} namespace is not exported by ${config.entry}.`,
+        );
+      }
+
+      /**
+       * @type {Facade}
+       */
+      const facade = { ...config, exports: new Map(), methods: [] };
+
+      exports.forEach((symbol) => {
+        facade.exports.set(this.resolveSymbol(symbol), symbol.getName());
       });
+
+      this.typeChecker
+        .getExportsOfModule(this.resolveSymbol(namespace))
+        .sort((a, b) => utils.compareAlphabetically(a.getName(), b.getName()))
+        .forEach((symbol) => {
+          const declarations = (this.resolveSymbol(symbol).getDeclarations() || [])
+            .filter(ts.isFunctionDeclaration)
+            .filter(utils.hasProperty("name"));
+
+          if (declarations.length === 0) {
+            return;
+          }
+
+          const method = Method.init(this, symbol.getName());
+          const comment = ts.getJSDocCommentsAndTags(declarations[0])[0]?.comment;
+
+          method.facade = facade;
+          method.description =
+            ts.getTextOfJSDocComment(comment) ||
+            `Calls ${method.getUpstreamReference()}.`;
+          method.addDeclarations(...declarations).triggerInitTasks();
+          facade.methods.push(method);
+        });
+
+      this.facades.push(facade);
     });
 
     return this;
   }
 
   /**
-   * Adds the TypeBox Options object types to {@link ProgramGenerator.internalTypes}.
+   * Gets the qualified name for the given type reference name, or `undefined` when the
+   * reference can stay as it is, like for type parameters and global types. Names that
+   * point to something TypeBox doesn't export are added to
+   * {@link ProgramGenerator.unresolvedTypes}.
+   *
+   * @param {ts.Identifier} identifier - The name of the type reference.
+   * @param {Facade}        [facade]   - The facade the type belongs to, whose module
+   *                                   exports are tried after the TypeBox ones.
+   * @returns {string | undefined}
    */
-  #fillOptionTypeNames() {
-    let fullText = "";
+  #qualifyTypeReference(identifier, facade) {
+    const symbol = this.typeChecker.getSymbolAtLocation(identifier);
 
-    this.sources.forEach((source) => {
-      fullText += source.getFullText() + "\n";
-    });
+    if (symbol !== undefined) {
+      const target = this.resolveSymbol(symbol);
+      const exportName = this.exports.get(target);
 
-    this.internalTypes.push(
-      ...utils.getUnique(
-        [...fullText.matchAll(/\w+Options /g)].map(utils.pickProperty(0)).map(utils.trim),
-      ),
-    );
+      if (exportName !== undefined) {
+        return utils.addPrefix("typebox", ".", exportName);
+      }
 
-    return this;
+      const facadeExportName = facade?.exports.get(target);
+
+      if (facadeExportName !== undefined) {
+        return utils.addPrefix("upstream", ".", facadeExportName);
+      }
+
+      if (target.flags & ts.SymbolFlags.TypeParameter) {
+        return undefined;
+      }
+
+      const isGlobal = (target.getDeclarations() || []).some((declaration) => {
+        return !ts.isExternalModule(declaration.getSourceFile());
+      });
+
+      if (isGlobal) {
+        return undefined;
+      }
+    }
+
+    const source = identifier.getSourceFile();
+    const { line } = source.getLineAndCharacterOfPosition(identifier.getStart());
+    const locations = this.unresolvedTypes.get(identifier.text) || new Set();
+
+    locations.add(`${source.fileName}:${line + 1}`);
+    this.unresolvedTypes.set(identifier.text, locations);
+
+    return undefined;
   }
 
   /**
-   * Fills the methods array with {@link Method} instances.
+   * Gets the text of the given type node, with every reference to a TypeBox export
+   * qualified with the `typebox` namespace. References are resolved with the type checker,
+   * so only actual TypeBox symbols are touched.
    *
-   * @returns {this}
+   * @param {ts.TypeNode} node     - The type node to patch.
+   * @param {Facade}      [facade] - The facade the type belongs to. References to the
+   *                               exports of its module are qualified with the
+   *                               `upstream` namespace.
+   * @returns {string} The patched type text, in a single line.
    */
-  #fillMethods() {
-    const rawMethods = this.builders
-      .map(utils.pickProperty("members"))
-      .flat()
-      .filter(ts.isMethodDeclaration)
-      .filter(utils.hasProperty("name"));
+  patchType = (node, facade) => {
+    const start = node.getStart();
+    /**
+     * @type {{ start: number; end: number; text: string }[]}
+     */
+    const patches = [];
 
-    const names = utils
-      .getUnique(rawMethods.map(utils.pickProperty("name")).map(this.super.getNameText))
-      .sort(utils.compareAlphabetically);
+    /**
+     * @param {ts.Node} child
+     */
+    const visit = (child) => {
+      if (ts.isIdentifier(child) && this.super.isTypeReferenceName(child)) {
+        const text = this.#qualifyTypeReference(child, facade);
 
-    names.map(utils.addPrefix.bind(null, "T", "")).forEach((v) => {
-      if (!this.internalTypes.includes(v)) {
-        this.internalTypes.push(v);
+        if (text !== undefined) {
+          patches.push({
+            start: child.getStart() - start,
+            end: child.getEnd() - start,
+            text,
+          });
+        }
       }
-    });
 
-    const groupings = utils.groupBy(rawMethods, (el) => this.super.getNameText(el.name));
+      ts.forEachChild(child, visit);
+    };
 
-    this.methods.push(...names.map(Method.init.bind(null, this)));
+    visit(node);
 
-    this.methods.forEach((method) => {
-      method.addDeclarations(...groupings[method.name]);
-      method.triggerInitTasks();
+    const patched = patches
+      .sort((a, b) => b.start - a.start)
+      .reduce((text, patch) => {
+        return text.slice(0, patch.start) + patch.text + text.slice(patch.end);
+      }, node.getText());
+
+    return patched.replace(/\s+/g, " ").trim();
+  };
+
+  /**
+   * Formats the given content using Prettier, with the configuration that applies to the
+   * given file path.
+   *
+   * @param {string} content - The content to format.
+   * @param {string} path    - The file path the content belongs to.
+   * @returns {Promise<string>} The formatted content.
+   */
+  static async format(content, path) {
+    const options = await prettier.resolveConfig(path);
+
+    return prettier.format(content, { ...options, filepath: path });
+  }
+
+  /**
+   * Compares the given content with the one of the file at the given path.
+   *
+   * @param {string} path    - The path of the file to compare with.
+   * @param {string} content - The expected content of the file.
+   * @returns {string} A unified diff from the file to the expected content, or an empty
+   *                   string when they are equal.
+   */
+  static diffWithFile(path, content) {
+    const current = fs.existsSync(path) ? fs.readFileSync(path, "utf-8") : "";
+
+    return utils.createUnifiedDiff(`a/${path}`, `b/${path}`, current, content);
+  }
+
+  /**
+   * Renders the builder template and formats it using Prettier, without writing anything.
+   *
+   * @param {string} path - The file path the content is meant for, used to resolve the
+   *                      Prettier configuration.
+   * @returns {Promise<string>} The formatted content.
+   */
+  async render(path) {
+    return this.#renderFile("builder", path, {
+      fluent: this.config.fluent,
+      methods: this.methods.map((m) => m.getTemplateData()),
     });
+  }
 
-    return this;
+  /**
+   * Renders the declaration template and formats it using Prettier, without writing
+   * anything.
+   *
+   * @param {string} path - The file path the content is meant for, used to resolve the
+   *                      Prettier configuration.
+   * @returns {Promise<string>} The formatted content.
+   */
+  async renderDeclaration(path) {
+    return this.#renderFile("declaration", path, {
+      fluent: this.config.fluent,
+      methods: this.methods.map((m) => m.getDeclarationTemplateData()),
+    });
+  }
+
+  /**
+   * Renders the Markdown API reference template and formats it using Prettier, without
+   * writing anything.
+   *
+   * @param {string} path - The file path the content is meant for, used to resolve the
+   *                      Prettier configuration and to link the upstream declarations.
+   * @returns {Promise<string>} The formatted content.
+   */
+  async renderDocumentation(path) {
+    return this.#renderFile("documentation", path, {
+      methods: this.methods.map((m) => m.getDocumentationTemplateData(path)),
+    });
   }
 
   /**
-   * Patches internal type references in a string value by prefixing them with the
-   * `typebox`
-   * namespace.
+   * Renders the smoke test suite template and formats it using Prettier, without writing
+   * anything. Methods without any overload callable with {@link SAMPLE_ARGUMENTS} get a
+   * skipped test, so the report lists them.
    *
-   * @param {string} value - The string value to patch.
-   * @returns {string} The patched string.
+   * @param {string} file - The file path the content is meant for, used to resolve the
+   *                      Prettier configuration and to import the builder file.
+   * @returns {Promise<string>} The formatted content.
    */
-  patchType = (value) => {
-    const items = utils.getUnique(
-      Array.from(value.matchAll(this.internalTypePattern)).map(utils.pickProperty(0)),
+  async renderTests(file) {
+    const builder = utils.toPosixPath(
+      path.relative(path.dirname(path.resolve(file)), path.resolve(this.config.out)),
     );
-    let patch = value;
 
-    items.forEach((item) => {
-      if (this.internalTypes.includes(item)) {
-        patch = patch.replaceAll(item, utils.addPrefix("typebox", ".", item));
-      }
+    return this.#renderFile("test", file, {
+      builder: builder.startsWith(".") ? builder : `./${builder}`,
+      methods: this.methods.map((m) => m.getTestTemplateData()),
     });
+  }
 
-    return patch.trim();
-  };
+  /**
+   * Renders the module of the given facade and formats it using Prettier, without writing
+   * anything.
+   *
+   * @param {Facade} facade - The facade to render.
+   * @param {string} path   - The file path the content is meant for, used to resolve the
+   *                        Prettier configuration.
+   * @returns {Promise<string>} The formatted content.
+   */
+  async renderFacade(facade, path) {
+    return this.#renderFile("facade", path, {
+      namespace: facade.name,
+      module: facade.module,
+      methods: facade.methods.map((m) => m.getTemplateData()),
+    });
+  }
+
+  /**
+   * Renders the declaration file of the given facade and formats it using Prettier,
+   * without writing anything.
+   *
+   * @param {Facade} facade - The facade to render.
+   * @param {string} path   - The file path the content is meant for, used to resolve the
+   *                        Prettier configuration.
+   * @returns {Promise<string>} The formatted content.
+   */
+  async renderFacadeDeclaration(facade, path) {
+    return this.#renderFile("facadeDeclaration", path, {
+      namespace: facade.name,
+      module: facade.module,
+      methods: facade.methods.map((m) => m.getDeclarationTemplateData()),
+    });
+  }
+
+  /**
+   * Builds the provenance manifest, which maps every generated method to the upstream
+   * declarations it was generated from.
+   *
+   * @returns {ProvenanceManifest}
+   */
+  getManifest() {
+    return {
+      typebox: this.typeboxVersion,
+      generatedAt: new Date().toISOString(),
+      methods: Object.fromEntries(
+        this.methods.map((method) => [
+          method.name,
+          { original: method.originalName, declarations: method.sources },
+        ]),
+      ),
+    };
+  }
+
+  /**
+   * Renders the provenance manifest as formatted JSON.
+   *
+   * @param {string} path - The file path the content is meant for, used to resolve the
+   *                      Prettier configuration.
+   * @returns {Promise<string>} The formatted content.
+   */
+  async renderManifest(path) {
+    return this.super.format(JSON.stringify(this.getManifest()), path);
+  }
+
+  /**
+   * Renders the template of the given kind of file and formats it using Prettier, passing
+   * the template data through the `beforeRender` hooks and the formatted content through
+   * the `afterFormat` hooks of the plugins.
+   *
+   * @param {RenderContext["kind"]} kind - The kind of file to render.
+   * @param {string}                path - The file path the content is meant for.
+   * @param {TemplateData}          data - The data for the template.
+   * @returns {Promise<string>} The formatted content.
+   */
+  async #renderFile(kind, path, data) {
+    const context = { ...this.#getPluginContext(), kind, path };
+    const templatePath = {
+      builder: this.config.template,
+      declaration: this.config.declarationTemplate,
+      documentation: this.config.docsTemplate,
+      test: this.config.testTemplate,
+      facade: this.config.facadeTemplate,
+      facadeDeclaration: this.config.facadeDeclarationTemplate,
+    }[kind];
+    const template = fs.readFileSync(templatePath, "utf-8");
+    const replacements = await this.#pipeHook("beforeRender", data, context);
+    const content = await this.super.format(
+      this.super.renderTemplate(template, replacements),
+      path,
+    );
+
+    return this.#pipeHook("afterFormat", content, context);
+  }
 
   /**
    * Writes the rendered template content to the given file path.
@@ -368,13 +2146,79 @@ export class ProgramGenerator {
    * @returns {Promise<void>}
    */
   async writeToFile(path) {
-    const content = this.super.renderTemplate({
-      methods: this.methods.map((m) => m.getTemplateData()),
-    });
-    const options = await prettier.resolveConfig(path);
-    const formatted = await prettier.format(content, options || {});
+    return fs.writeFileSync(path, await this.render(path), "utf-8");
+  }
+
+  /**
+   * Writes the rendered declaration template content to the given file path.
+   * Formats the content using Prettier before writing to the file.
+   *
+   * @param {string} path - The file path to write the content to.
+   * @returns {Promise<void>}
+   */
+  async writeDeclarationToFile(path) {
+    return fs.writeFileSync(path, await this.renderDeclaration(path), "utf-8");
+  }
+
+  /**
+   * Writes the rendered module of the given facade to the given file path.
+   *
+   * @param {Facade} facade - The facade to render.
+   * @param {string} path   - The file path to write the content to.
+   * @returns {Promise<void>}
+   */
+  async writeFacadeToFile(facade, path) {
+    return fs.writeFileSync(path, await this.renderFacade(facade, path), "utf-8");
+  }
+
+  /**
+   * Writes the rendered declaration file of the given facade to the given file path.
+   *
+   * @param {Facade} facade - The facade to render.
+   * @param {string} path   - The file path to write the content to.
+   * @returns {Promise<void>}
+   */
+  async writeFacadeDeclarationToFile(facade, path) {
+    return fs.writeFileSync(
+      path,
+      await this.renderFacadeDeclaration(facade, path),
+      "utf-8",
+    );
+  }
+
+  /**
+   * Writes the provenance manifest to the given file path.
+   *
+   * @param {string} path - The file path to write the content to.
+   * @returns {Promise<void>}
+   */
+  async writeManifestToFile(path) {
+    return fs.writeFileSync(path, await this.renderManifest(path), "utf-8");
+  }
+
+  /**
+   * Writes the rendered smoke test suite to the given file path.
+   *
+   * @param {string} path - The file path to write the content to.
+   * @returns {Promise<void>}
+   */
+  async writeTestsToFile(path) {
+    return fs.writeFileSync(path, await this.renderTests(path), "utf-8");
+  }
+
+  /**
+   * Writes the rendered Markdown API reference to the given file path, creating its
+   * directory when needed.
+   *
+   * @param {string} file - The file path to write the content to.
+   * @returns {Promise<void>}
+   */
+  async writeDocumentationToFile(file) {
+    const content = await this.renderDocumentation(file);
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
 
-    return fs.writeFileSync(path, formatted, "utf-8");
+    return fs.writeFileSync(file, content, "utf-8");
   }
 
   /**
@@ -397,8 +2241,172 @@ export class ProgramGenerator {
  * @typedef {utils.SetRequired<ts.ClassDeclaration, "name">} NamedClassDeclaration
  */
 
+/**
+ * The configuration of a {@link ProgramGenerator}.
+ *
+ * @typedef {Object} GeneratorConfig
+ * @property {string}   dir                 - Directory containing the builder declarations.
+ * @property {string}   entry               - Declaration file of the TypeBox entry module.
+ * @property {string[]} builders            - Names of the builder classes to generate
+ *                                          methods from.
+ * @property {string[]} rootFiles           - Files declaring the builder classes, relative
+ *                                          to `dir`.
+ * @property {string}   template            - Path of the builder template.
+ * @property {string}   declarationTemplate - Path of the declaration file template.
+ * @property {string}   out                 - Path of the generated builder file.
+ * @property {boolean}  declaration         - Whether to generate a declaration file.
+ * @property {string | false} docs          - Path of the Markdown API reference, or
+ *                                          `false` to skip it.
+ * @property {string}   docsTemplate        - Path of the Markdown API reference template.
+ * @property {boolean}  tests               - Whether to generate a smoke test suite.
+ * @property {string}   testTemplate        - Path of the smoke test suite template.
+ * @property {boolean}  fluent              - Whether to wrap the created schemas as fluent
+ *                                          schemas.
+ * @property {FacadeConfig[]} facades       - Namespaces wrapped in their own module.
+ * @property {string}   facadeTemplate      - Path of the facade module template.
+ * @property {string}   facadeDeclarationTemplate - Path of the facade declaration file
+ *                                          template.
+ * @property {boolean}  provenance          - Whether to emit the upstream location of every
+ *                                          overload and a provenance manifest.
+ * @property {Record<string, string>} sources - In-memory declaration files, keyed by their
+ *                                          path relative to `dir`.
+ * @property {MethodRules} methods          - Rules to select, rename and alias methods.
+ * @property {GeneratorPlugin[]} plugins    - Plugins hooked into the generation.
+ */
+
+/**
+ * The hooks a {@link GeneratorPlugin} can define. `buildersCollected` and
+ * `transformMethod` run synchronously while the generator is constructed, the other ones
+ * run every time a file is rendered and can be asynchronous.
+ *
+ * @typedef {Object} PluginHooks
+ * @property {(context: PluginContext) => void} buildersCollected
+ * Called once the builder classes have been collected, before their methods are.
+ * @property {(method: Method, context: PluginContext) => Method | null | void} transformMethod
+ * Called for every method, including the ones of the facades, which have their `facade`
+ * set. It can return a replacement, `null` to remove the method, or nothing to keep it.
+ * @property {(data: TemplateData, context: RenderContext) => Awaitable<TemplateData | void>} beforeRender
+ * Called with the template data before rendering a file. It can return new data or
+ * mutate it, e.g. to add custom methods.
+ * @property {(content: string, context: RenderContext) => Awaitable<string | void>} afterFormat
+ * Called with the formatted content of a file. It can return a new content.
+ */
+
+/**
+ * A plugin of the {@link ProgramGenerator}, made of a name and any of the
+ * {@link PluginHooks}.
+ *
+ * @typedef {{ name: string } & Partial<PluginHooks>} GeneratorPlugin
+ */
+
+/**
+ * The context given to the plugin hooks.
+ *
+ * @typedef {Object} PluginContext
+ * @property {ProgramGenerator} generator - The generator running the hook.
+ * @property {ts.Program}       program   - The TypeScript program of the generator.
+ * @property {GeneratorConfig}  config    - The configuration of the generator.
+ */
+
+/**
+ * The context given to the plugin hooks that run while rendering a file.
+ *
+ * @typedef {PluginContext & { kind: RenderKind; path: string }} RenderContext
+ */
+
+/**
+ * The kinds of file a {@link ProgramGenerator} renders, each one with its own template.
+ *
+ * @typedef {"builder" | "declaration" | "documentation" | "test" | "facade" | "facadeDeclaration"} RenderKind
+ */
+
+/**
+ * A namespace of TypeBox wrapped in its own generated module.
+ *
+ * @typedef {Object} FacadeConfig
+ * @property {string} name   - The name the namespace is exported under, e.g. `Value`.
+ * @property {string} entry  - Declaration file of the module exporting the namespace.
+ * @property {string} module - The specifier the generated module imports it from.
+ * @property {string} out    - Path of the generated module.
+ */
+
+/**
+ * A {@link FacadeConfig} with the exports of its module, used to qualify the types of its
+ * functions, and the functions of its namespace.
+ *
+ * @typedef {FacadeConfig & { exports: Map<ts.Symbol, string>; methods: Method[] }} Facade
+ */
+
+/**
+ * A problem found by a {@link ProgramGenerator}.
+ *
+ * @typedef {Object} GeneratorDiagnostic
+ * @property {"error" | "warning"} category  - How serious the problem is.
+ * @property {string}              code      - Identifier of the kind of problem.
+ * @property {string}              message   - Description of the problem.
+ * @property {string[]}            locations - Where the problem was found, as `file:line`.
+ */
+
+/**
+ * The data a template is rendered with.
+ *
+ * @typedef {{ methods: Record<string, any>[] } & Record<string, any>} TemplateData
+ */
+
+/**
+ * A location in a source file. The path is relative to the directory of the generated
+ * file the location appears in, and both line and column start at 1.
+ *
+ * @typedef {Object} SourceLocation
+ * @property {string} file   - The path of the source file.
+ * @property {number} line   - The line of the location.
+ * @property {number} column - The column of the location.
+ */
+
+/**
+ * The provenance manifest written next to the builder file.
+ *
+ * @typedef {Object} ProvenanceManifest
+ * @property {string} typebox     - The version of TypeBox the builder was generated from.
+ * @property {string} generatedAt - When the manifest was generated, as an ISO string.
+ * @property {Record<string, { original: string; declarations: SourceLocation[] }>} methods
+ * The generated methods, with the TypeBox method they delegate to and the location of its
+ * declarations.
+ */
+
+/**
+ * A value that can be awaited.
+ *
+ * @template T
+ * @typedef {T | Promise<T>} Awaitable
+ */
+
+/**
+ * Rules applied to the methods of the builder classes. Methods are referenced by their
+ * TypeBox name.
+ *
+ * @typedef {Object} MethodRules
+ * @property {string[]}                 [include] - Methods to generate, all of them when
+ *                                                omitted.
+ * @property {string[]}                 [exclude] - Methods to leave out.
+ * @property {Record<string, string>}   [rename]  - New names for the methods.
+ * @property {Record<string, string[]>} [aliases] - Additional names for the methods.
+ */
+
 /**
  * A named {@link ts.MethodDeclaration}.
  *
  * @typedef {utils.SetRequired<ts.MethodDeclaration, "name">} NamedMethodDeclaration
  */
+
+/**
+ * A named {@link ts.FunctionDeclaration}.
+ *
+ * @typedef {utils.SetRequired<ts.FunctionDeclaration, "name">} NamedFunctionDeclaration
+ */
+
+/**
+ * A declaration a {@link Method} can be generated from.
+ *
+ * @typedef {NamedMethodDeclaration | NamedFunctionDeclaration} CallableDeclaration
+ */
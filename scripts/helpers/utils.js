@@ -1,6 +1,9 @@
 export * from "../../lib/utils.js";
 export * from "../../lib/utils.types.js";
 
+import fs from "node:fs";
+import path from "node:path";
+import url from "node:url";
 import util from "node:util";
 
 import * as toolkit from "@toridoriv/toolkit";
@@ -57,7 +60,18 @@ export const Jsdoc = (() => {
        */
       optional: toolkit.Template.create(" * @param {«type»} [«name»]", ALTER_TAGS),
     },
-    return: toolkit.Template.create(" * @returns {«type»}"),
+    /**
+     * Template for the `@returns` tag with the returned type.
+     */
+    return: toolkit.Template.create(" * @returns {«type»}", ALTER_TAGS),
+    /**
+     * Template for the `@see` tag with a link to the given reference.
+     */
+    see: toolkit.Template.create(" * @see {@link «reference»}", ALTER_TAGS),
+    /**
+     * Template for the `@see` tag with the location a declaration comes from.
+     */
+    source: toolkit.Template.create(" * @see {@link «file»:«line»:«column»}", ALTER_TAGS),
     /**
      * Template for the `@overload` tag.
      */
@@ -292,6 +306,64 @@ export function trim(value) {
   return value.trim();
 }
 
+/**
+ * Converts the first character of the given string value to upper case.
+ *
+ * @param {string} value - The string to capitalize.
+ * @returns {string} The capitalized string.
+ */
+export function capitalize(value) {
+  return value.charAt(0).toUpperCase() + value.slice(1);
+}
+
+/**
+ * Converts the separators of the given path to forward slashes, as used in URLs.
+ *
+ * @param {string} value - The path to convert.
+ * @returns {string}
+ */
+export function toPosixPath(value) {
+  return value.split(path.sep).join("/");
+}
+
+/**
+ * Renders the given code as the content of a Markdown table cell. The code is collapsed
+ * into a single line and wrapped in a `<code>` element instead of backticks, so backticks
+ * in the code can't end it early. HTML characters and pipes are escaped.
+ *
+ * @param {string} value - The code to render.
+ * @returns {string} The content of the cell, or an empty string when there is no code.
+ */
+export function renderCodeCell(value) {
+  if (value === "") {
+    return "";
+  }
+
+  const escaped = value
+    .replace(/\s*\n\s*/g, " ")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/\|/g, "\\|");
+
+  return `<code>${escaped}</code>`;
+}
+
+/**
+ * Imports the module at the given path. Modules are cached by URL, so the modification
+ * time of the file is added to it, making a changed file load again.
+ *
+ * @param {string} file - The path of the module.
+ * @returns {Promise<Record<string, unknown>>} The namespace of the module.
+ */
+export async function importModule(file) {
+  const specifier = url.pathToFileURL(path.resolve(file));
+
+  specifier.searchParams.set("mtime", String(fs.statSync(file).mtimeMs));
+
+  return import(specifier.href);
+}
+
 /**
  * Returns a new array containing only the unique elements from the given array.
  *
@@ -347,3 +419,182 @@ export function isInArray(target, item) {
 export function areEquals(a, b) {
   return a === b;
 }
+
+/**
+ * Maximum number of cells of the table used to find the longest common subsequence of two
+ * lists of lines, to keep its memory bounded.
+ */
+const MAX_DIFF_CELLS = 4_000_000;
+
+/**
+ * Compares two lists of lines and returns the operations that turn the first one into the
+ * second one, using the longest common subsequence between them. The lines they share at
+ * the start and the end are left out of the search, and when the rest is still too large
+ * to compare, it's replaced as a whole.
+ *
+ * @param {string[]} before - The original lines.
+ * @param {string[]} after  - The updated lines.
+ * @returns {DiffOperation[]} The list of operations, in order.
+ */
+export function diffLines(before, after) {
+  let start = 0;
+  let endBefore = before.length;
+  let endAfter = after.length;
+
+  while (start < endBefore && start < endAfter && before[start] === after[start]) {
+    start++;
+  }
+
+  while (
+    endBefore > start &&
+    endAfter > start &&
+    before[endBefore - 1] === after[endAfter - 1]
+  ) {
+    endBefore--;
+    endAfter--;
+  }
+
+  const rows = endBefore - start;
+  const columns = endAfter - start;
+  /**
+   * @param {string} line
+   * @returns {DiffOperation}
+   */
+  const keep = (line) => ({ type: " ", line });
+  /**
+   * @param {string} line
+   * @returns {DiffOperation}
+   */
+  const remove = (line) => ({ type: "-", line });
+  /**
+   * @param {string} line
+   * @returns {DiffOperation}
+   */
+  const add = (line) => ({ type: "+", line });
+
+  if ((rows + 1) * (columns + 1) > MAX_DIFF_CELLS) {
+    return [
+      ...before.slice(0, start).map(keep),
+      ...before.slice(start, endBefore).map(remove),
+      ...after.slice(start, endAfter).map(add),
+      ...before.slice(endBefore).map(keep),
+    ];
+  }
+
+  const lengths = new Uint32Array((rows + 1) * (columns + 1));
+  /**
+   * @param {number} i
+   * @param {number} j
+   */
+  const at = (i, j) => i * (columns + 1) + j;
+
+  for (let i = rows - 1; i >= 0; i--) {
+    for (let j = columns - 1; j >= 0; j--) {
+      lengths[at(i, j)] =
+        before[start + i] === after[start + j]
+          ? lengths[at(i + 1, j + 1)] + 1
+          : Math.max(lengths[at(i + 1, j)], lengths[at(i, j + 1)]);
+    }
+  }
+
+  const operations = before.slice(0, start).map(keep);
+  let i = 0;
+  let j = 0;
+
+  while (i < rows || j < columns) {
+    if (i < rows && j < columns && before[start + i] === after[start + j]) {
+      operations.push(keep(before[start + i]));
+      i++;
+      j++;
+    } else if (
+      i < rows &&
+      (j === columns || lengths[at(i + 1, j)] >= lengths[at(i, j + 1)])
+    ) {
+      operations.push(remove(before[start + i]));
+      i++;
+    } else {
+      operations.push(add(after[start + j]));
+      j++;
+    }
+  }
+
+  operations.push(...before.slice(endBefore).map(keep));
+
+  return operations;
+}
+
+/**
+ * Creates a unified diff between two texts, like the one printed by `diff -u`.
+ *
+ * @param {string} fromFile - The name of the original file.
+ * @param {string} toFile   - The name of the updated file.
+ * @param {string} before   - The original text.
+ * @param {string} after    - The updated text.
+ * @param {number} context  - The number of unchanged lines shown around each change.
+ * @returns {string} The unified diff, or an empty string when both texts are equal.
+ */
+export function createUnifiedDiff(fromFile, toFile, before, after, context = 3) {
+  if (before === after) {
+    return "";
+  }
+
+  const operations = diffLines(before.split("\n"), after.split("\n"));
+  const changes = operations
+    .map((operation, index) => (operation.type === " " ? -1 : index))
+    .filter((index) => index !== -1);
+  /**
+   * @type {[number, number][]}
+   */
+  const ranges = [];
+
+  changes.forEach((index) => {
+    const last = ranges[ranges.length - 1];
+    const start = Math.max(0, index - context);
+    const end = Math.min(operations.length, index + context + 1);
+
+    if (last && start <= last[1]) {
+      last[1] = end;
+    } else {
+      ranges.push([start, end]);
+    }
+  });
+
+  const lines = [`--- ${fromFile}`, `+++ ${toFile}`];
+
+  ranges.forEach(([start, end]) => {
+    const previous = operations.slice(0, start);
+    const hunk = operations.slice(start, end);
+    const fromLength = hunk.filter((op) => op.type !== "+").length;
+    const toLength = hunk.filter((op) => op.type !== "-").length;
+    // An empty range starts at the line before it, like `-0,0` for an empty file.
+    const fromStart =
+      previous.filter((op) => op.type !== "+").length + (fromLength > 0 ? 1 : 0);
+    const toStart =
+      previous.filter((op) => op.type !== "-").length + (toLength > 0 ? 1 : 0);
+
+    lines.push(`@@ -${fromStart},${fromLength} +${toStart},${toLength} @@`);
+    lines.push(...hunk.map((op) => `${op.type}${op.line}`));
+  });
+
+  return lines.join("\n");
+}
+
+/**
+ * Logs that the file at the given path differs from its expected content, followed by
+ * the diff between them.
+ *
+ * @param {string} path     - The path of the stale file.
+ * @param {string} diff     - A unified diff from the file to its expected content.
+ * @param {string} [reason] - What is wrong with the file.
+ * @returns {void}
+ */
+export function logStaleFile(path, diff, reason = "is out of date.") {
+  logger.error(`${path} ${reason}\n${diff}`);
+}
+
+/**
+ * A single operation of a line diff: `" "` keeps the line, `"-"` removes it and `"+"`
+ * adds it.
+ *
+ * @typedef {{ type: " " | "-" | "+"; line: string }} DiffOperation
+ */
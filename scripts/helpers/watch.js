@@ -0,0 +1,190 @@
+import path from "node:path";
+
+import ts from "typescript";
+
+import { ProgramGenerator } from "./typebox.js";
+import { getUnique } from "./utils.js";
+
+/**
+ * Watches a single file, calling the listener every time it changes.
+ *
+ * @param {string}                 file     - The path of the file to watch.
+ * @param {(file: string) => void} listener - Called with the path of the changed file.
+ * @returns {ts.FileWatcher} A watcher that stops watching the file once closed.
+ */
+export function watchFile(file, listener) {
+  const watcher = ts.sys.watchFile?.(path.resolve(file), (fileName) =>
+    listener(fileName),
+  );
+
+  return watcher ?? { close() {} };
+}
+
+/* -------------------------------------------------------------------------- */
+/*                             Class TargetWatcher                            */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Keeps the TypeScript program of a generation target alive, using the watch API of
+ * TypeScript so that only the changed declaration files are parsed again, and creates a
+ * new {@link ProgramGenerator} every time the program or the templates of the target
+ * change.
+ *
+ * Changes are handled one at a time, in the order they happen.
+ */
+export class TargetWatcher {
+  /**
+   * The configuration of the watched target.
+   *
+   * @type {GeneratorConfig}
+   */
+  target;
+
+  /**
+   * The generator created from the last version of the program.
+   *
+   * @type {ProgramGenerator | undefined}
+   */
+  generator;
+
+  /**
+   * The absolute paths of the files that changed since the program was last created.
+   *
+   * @type {Set<string>}
+   */
+  #changedFiles = new Set();
+
+  /**
+   * The changes waiting to be handled, chained so they run sequentially.
+   *
+   * @type {Promise<void>}
+   */
+  #queue = Promise.resolve();
+
+  /**
+   * @type {WatcherHandlers}
+   */
+  #handlers;
+
+  /**
+   * @type {ts.WatchOfFilesAndCompilerOptions<ts.SemanticDiagnosticsBuilderProgram>}
+   */
+  #program;
+
+  /**
+   * @type {ts.FileWatcher[]}
+   */
+  #templateWatchers;
+
+  /**
+   * @param {GeneratorConfig} target   - The target to watch.
+   * @param {WatcherHandlers} handlers - The functions called when something changes.
+   */
+  constructor(target, handlers) {
+    this.target = target;
+    this.#handlers = handlers;
+
+    const host = ts.createWatchCompilerHost(
+      ProgramGenerator.getProgramRootNames(target),
+      { noEmit: true },
+      ts.sys,
+      ts.createSemanticDiagnosticsBuilderProgram,
+      () => {},
+      () => {},
+    );
+    const hostWatchFile = host.watchFile;
+
+    host.watchFile = (fileName, callback, ...rest) => {
+      return hostWatchFile.call(
+        host,
+        fileName,
+        (changedFile, kind, modifiedTime) => {
+          this.#changedFiles.add(path.resolve(changedFile));
+          callback(changedFile, kind, modifiedTime);
+        },
+        ...rest,
+      );
+    };
+    host.afterProgramCreate = (builderProgram) => {
+      const files = [...this.#changedFiles];
+
+      this.#changedFiles.clear();
+      this.#enqueue(() => {
+        this.generator = new ProgramGenerator(target, builderProgram.getProgram());
+
+        return { kind: files.length === 0 ? "initial" : "program", files };
+      });
+    };
+
+    this.#program = ts.createWatchProgram(host);
+    this.#templateWatchers = getUnique([
+      target.template,
+      ...(target.declaration ? [target.declarationTemplate] : []),
+      ...(target.docs ? [target.docsTemplate] : []),
+      ...(target.tests ? [target.testTemplate] : []),
+      ...(target.facades.length > 0 ? [target.facadeTemplate] : []),
+      ...(target.facades.length > 0 && target.declaration
+        ? [target.facadeDeclarationTemplate]
+        : []),
+    ]).map((template) => {
+      return watchFile(template, (file) => {
+        this.#enqueue(() => ({ kind: "template", files: [file] }));
+      });
+    });
+  }
+
+  /**
+   * Queues the handling of a change. The change is described by the given function, which
+   * runs right before the `onChange` handler.
+   *
+   * @param {() => WatchChange} describe - Prepares the generator and describes the change.
+   */
+  #enqueue(describe) {
+    this.#queue = this.#queue
+      .then(async () => {
+        const change = describe();
+
+        if (this.generator) {
+          await this.#handlers.onChange(this.generator, change);
+        }
+      })
+      .catch(this.#handlers.onError);
+  }
+
+  /**
+   * Stops watching the files of the target.
+   */
+  close() {
+    this.#program.close();
+    this.#templateWatchers.forEach((watcher) => watcher.close());
+  }
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                   Typings                                  */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * @typedef {import("./typebox.js").GeneratorConfig} GeneratorConfig
+ */
+
+/**
+ * A change detected by a {@link TargetWatcher}.
+ *
+ * @typedef {Object} WatchChange
+ * @property {"initial" | "program" | "template"} kind
+ * What changed: `initial` when the program was just created, `program` when declaration
+ * files changed and `template` when a template changed.
+ * @property {string[]} files
+ * The absolute paths of the changed files.
+ */
+
+/**
+ * The functions called by a {@link TargetWatcher}.
+ *
+ * @typedef {Object} WatcherHandlers
+ * @property {(generator: ProgramGenerator, change: WatchChange) => Promise<void>} onChange
+ * Called with an up to date generator every time something changes.
+ * @property {(error: unknown) => void} onError
+ * Called when handling a change fails. Watching continues afterwards.
+ */
@@ -0,0 +1,61 @@
+#!/usr/bin/env node --enable-source-maps --experimental-specifier-resolution=node
+
+import fs from "node:fs";
+
+import { Command } from "@toridoriv/cliffy";
+
+import * as helpers from "../helpers/index.js";
+
+// eslint-disable-next-line no-unused-vars
+const { logger, inspect, logStaleFile, typebox, fixtures } = helpers;
+
+const fixturesCommand = new Command()
+  .name("test:fixtures")
+  .description(
+    "Render the generator fixtures and compare the output with their snapshots.",
+  )
+  .arguments("[...names:string]")
+  .option("-u --update", "Write the rendered output as the new snapshots.")
+  .action(async function handle(options, ...names) {
+    const selected = names.length > 0 ? names : fixtures.getFixtureNames();
+    let stale = 0;
+
+    fs.mkdirSync(fixtures.SNAPSHOTS_DIR, { recursive: true });
+
+    for (const name of selected) {
+      logger.info(`Rendering the ${name} fixture...`);
+
+      const { files, diagnostics } = await fixtures.renderFixture(name);
+
+      diagnostics.forEach((diagnostic) => {
+        const log = diagnostic.category === "error" ? logger.error : logger.warn;
+
+        log.call(logger, diagnostic.message, ...diagnostic.locations);
+      });
+
+      for (const file of files) {
+        const diff = typebox.ProgramGenerator.diffWithFile(file.path, file.content);
+
+        if (diff === "") {
+          continue;
+        }
+
+        if (options.update) {
+          logger.info(`Updating ${file.path}...`);
+          fs.writeFileSync(file.path, file.content, "utf-8");
+        } else {
+          logStaleFile(file.path, diff, "doesn't match the rendered output.");
+          stale++;
+        }
+      }
+    }
+
+    if (stale > 0) {
+      logger.error("Run test:fixtures --update if the changes are expected.");
+      process.exitCode = 1;
+    } else if (!options.update) {
+      logger.info("Every snapshot matches the rendered output.");
+    }
+  });
+
+fixturesCommand.parse(process.argv.slice(2));
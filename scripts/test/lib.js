@@ -0,0 +1,48 @@
+#!/usr/bin/env node --enable-source-maps --experimental-specifier-resolution=node
+
+import fs from "node:fs";
+import path from "node:path";
+import { run } from "node:test";
+import { spec } from "node:test/reporters";
+
+import { Command } from "@toridoriv/cliffy";
+
+import * as helpers from "../helpers/index.js";
+
+// eslint-disable-next-line no-unused-vars
+const { logger, inspect } = helpers;
+
+/**
+ * Directory with the behavior tests of the modules in `lib`.
+ */
+const TESTS_DIR = "test";
+
+const libCommand = new Command()
+  .name("test:lib")
+  .description("Run the behavior tests of the library modules.")
+  .arguments("[...names:string]")
+  .action(function handle(_options, ...names) {
+    const files = fs
+      .readdirSync(TESTS_DIR)
+      .filter((file) => file.endsWith(".test.js"))
+      .filter(
+        (file) => names.length === 0 || names.includes(path.basename(file, ".test.js")),
+      )
+      .map((file) => path.join(TESTS_DIR, file));
+
+    if (files.length === 0) {
+      logger.error(`No tests found for ${names.join(", ")}.`);
+      process.exitCode = 1;
+
+      return;
+    }
+
+    run({ files })
+      .on("test:fail", () => {
+        process.exitCode = 1;
+      })
+      .compose(spec)
+      .pipe(process.stdout);
+  });
+
+libCommand.parse(process.argv.slice(2));
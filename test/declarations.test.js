@@ -0,0 +1,98 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { Type } from "@sinclair/typebox";
+
+import { DeclarationEmitter } from "../scripts/helpers/declarations.js";
+
+/**
+ * Emits the declarations of the given schemas and returns them by name.
+ *
+ * @param {Record<string, import("@sinclair/typebox").TSchema>} schemas - The schemas to
+ *                                                                      declare, by name.
+ * @returns {{ declarations: Record<string, string>; issues: DeclarationEmitter["issues"] }}
+ */
+function emit(schemas) {
+  const emitter = new DeclarationEmitter(new Map(Object.entries(schemas)));
+
+  return {
+    declarations: Object.fromEntries(
+      emitter.declarations.map(({ name, declaration }) => [name, declaration]),
+    ),
+    issues: emitter.issues,
+  };
+}
+
+describe("DeclarationEmitter", () => {
+  it("declares the object schemas as interfaces and the others as type aliases", () => {
+    const { declarations, issues } = emit({
+      User: Type.Object({ name: Type.String(), age: Type.Optional(Type.Integer()) }),
+      Role: Type.Union([Type.Literal("admin"), Type.Literal("user")]),
+    });
+
+    assert.deepEqual(declarations, {
+      User: "export interface User {\nname: string;\nage?: number;\n}",
+      Role: 'export type Role = "admin" | "user";',
+    });
+    assert.deepEqual(issues, []);
+  });
+
+  it("references the given schemas by name", () => {
+    const Tag = Type.String({ $id: "Tag" });
+    const { declarations } = emit({
+      Post: Type.Object({ tags: Type.Array(Tag), main: Type.Ref(Tag) }),
+      Tag,
+    });
+
+    assert.equal(
+      declarations.Post,
+      "export interface Post {\ntags: Tag[];\nmain: Tag;\n}",
+    );
+  });
+
+  it("declares the nested schemas referenced before the walk reaches them", () => {
+    const Address = Type.Object({ city: Type.String() }, { $id: "Address" });
+    const { declarations, issues } = emit({
+      Person: Type.Object({ billing: Type.Ref(Address), home: Address }),
+    });
+
+    assert.deepEqual(declarations, {
+      Person: "export interface Person {\nbilling: Address;\nhome: Address;\n}",
+      Address: "export interface Address {\ncity: string;\n}",
+    });
+    assert.deepEqual(issues, []);
+  });
+
+  it("declares the nested schemas only referenced from another schema", () => {
+    const Address = Type.Object({ city: Type.String() }, { $id: "Address" });
+    const { declarations, issues } = emit({
+      Company: Type.Object({ office: Type.Ref(Address) }),
+      Person: Type.Object({ home: Address }),
+    });
+
+    assert.equal(declarations.Company, "export interface Company {\noffice: Address;\n}");
+    assert.equal(declarations.Address, "export interface Address {\ncity: string;\n}");
+    assert.deepEqual(issues, []);
+  });
+
+  it("declares the recursive schemas with a reference to themselves", () => {
+    const { declarations } = emit({
+      Tree: Type.Recursive((This) => Type.Object({ children: Type.Array(This) })),
+    });
+
+    assert.deepEqual(declarations, {
+      Tree: "export interface Tree {\nchildren: Tree[];\n}",
+    });
+  });
+
+  it("reports the references to schemas that aren't declared", () => {
+    const { declarations, issues } = emit({
+      Post: Type.Object({ author: Type.Ref("User") }),
+    });
+
+    assert.equal(declarations.Post, "export interface Post {\nauthor: unknown;\n}");
+    assert.deepEqual(issues, [
+      { name: "Post", message: "The referenced schema User is not declared." },
+    ]);
+  });
+});
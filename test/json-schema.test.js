@@ -0,0 +1,60 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { Type } from "@sinclair/typebox";
+
+import { toJsonSchema } from "../lib/json-schema.js";
+
+describe("toJsonSchema", () => {
+  it("drops the symbols TypeBox tags its schemas with", () => {
+    const { schema, issues } = toJsonSchema(
+      Type.Object({ a: Type.Optional(Type.String()) }, { $id: "A" }),
+    );
+
+    assert.deepEqual(schema, {
+      $id: "A",
+      type: "object",
+      properties: { a: { type: "string" } },
+    });
+    assert.deepEqual(Object.getOwnPropertySymbols(schema), []);
+    assert.deepEqual(issues, []);
+  });
+
+  it("writes the JavaScript kinds as empty schemas and reports them", () => {
+    const { schema, issues } = toJsonSchema(
+      Type.Object({ at: Type.Date({ $id: "At" }), id: Type.BigInt() }),
+    );
+
+    assert.deepEqual(schema.properties, { at: { $id: "At" }, id: {} });
+    assert.deepEqual(
+      issues.map((issue) => issue.pointer),
+      ["/properties/at", "/properties/id"],
+    );
+  });
+
+  it("leaves out the bigint values and reports them", () => {
+    const { schema, issues } = toJsonSchema(Type.Integer({ default: 1n }));
+
+    assert.deepEqual(schema, { type: "integer" });
+    assert.deepEqual(issues, [
+      { pointer: "/default", message: "bigint values can't be represented in JSON." },
+    ]);
+  });
+
+  it("escapes the property names in the pointers of the issues", () => {
+    const { issues } = toJsonSchema(Type.Object({ "a/b~c": Type.Symbol() }));
+
+    assert.deepEqual(
+      issues.map((issue) => issue.pointer),
+      ["/properties/a~1b~0c"],
+    );
+  });
+
+  it("passes every converted value through the transform", () => {
+    const { schema } = toJsonSchema(Type.Object({ a: Type.Ref("A") }), (key, value) =>
+      key === "$ref" ? `#/$defs/${value}` : value,
+    );
+
+    assert.deepEqual(schema.properties, { a: { $ref: "#/$defs/A" } });
+  });
+});
@@ -0,0 +1,112 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { before, describe, it } from "node:test";
+import { fileURLToPath } from "node:url";
+
+import { FormatRegistry, Type as TypeBox } from "@sinclair/typebox";
+import { Value } from "@sinclair/typebox/value";
+
+import { MockGenerationError, MockGenerator, mock } from "../lib/mock.js";
+import { typebox } from "../scripts/helpers/index.js";
+
+/**
+ * Where the `SchemaBuilder` is generated for the tests, inside the ignored `tmp`
+ * directory.
+ */
+const BUILDER_PATH = fileURLToPath(new URL("../tmp/builder.js", import.meta.url));
+
+/**
+ * The seeds every schema is mocked with.
+ */
+const SEEDS = [...Array(20).keys()];
+
+/**
+ * The `Type` of the generated `SchemaBuilder`.
+ *
+ * @type {any}
+ */
+let Type;
+
+before(async () => {
+  const generator = new typebox.ProgramGenerator({
+    ...typebox.ProgramGenerator.config,
+    out: BUILDER_PATH,
+  });
+
+  fs.mkdirSync(new URL("../tmp/", import.meta.url), { recursive: true });
+  await generator.writeToFile(BUILDER_PATH);
+
+  ({ Type } = await import(BUILDER_PATH));
+});
+
+describe("mock", () => {
+  it("generates values for the schemas of the SchemaBuilder with any seed", () => {
+    const schema = Type.Object({
+      id: Type.Integer().min(1),
+      name: Type.String().min(3).max(10),
+      tags: Type.Array(Type.String({ pattern: "^[a-z]+$", minLength: 8 })),
+      score: Type.Optional(Type.Number({ multipleOf: 0.5, exclusiveMaximum: 10 })),
+      role: Type.Union([Type.Literal("admin"), Type.Literal("user")]),
+    });
+
+    for (const seed of SEEDS) {
+      assert.ok(Value.Check(schema, mock(schema, { seed })), `seed ${seed}`);
+    }
+  });
+
+  it("generates the same values from the same seed", () => {
+    const schema = TypeBox.Object({
+      name: TypeBox.String(),
+      values: TypeBox.Array(TypeBox.Number()),
+      at: TypeBox.Date(),
+    });
+
+    assert.deepEqual(mock(schema, { seed: "users" }), mock(schema, { seed: "users" }));
+    assert.notDeepEqual(mock(schema, { seed: 1 }), mock(schema, { seed: 2 }));
+  });
+
+  it("respects the length limits of the strings with a pattern", () => {
+    const schema = TypeBox.String({ pattern: "^[a-z]+$", minLength: 8, maxLength: 9 });
+
+    for (const seed of SEEDS) {
+      const value = mock(schema, { seed });
+
+      assert.ok(value.length >= 8 && value.length <= 9, `seed ${seed}: ${value}`);
+    }
+  });
+
+  it("generates values for the JavaScript kinds", () => {
+    const generator = new MockGenerator({ seed: 3 });
+    const User = TypeBox.Object({ name: TypeBox.String() });
+
+    assert.equal(typeof generator.generate(TypeBox.Symbol()), "symbol");
+    assert.ok(generator.generate(TypeBox.Promise(TypeBox.String())) instanceof Promise);
+    assert.ok(Value.Check(User, generator.generate(TypeBox.Function([], User))()));
+    assert.ok(
+      Value.Check(User, new (generator.generate(TypeBox.Constructor([], User)))()),
+    );
+    assert.notEqual(typeof generator.generate(TypeBox.Not(TypeBox.String())), "string");
+  });
+
+  it("resolves the references with the schemas of the current call only", () => {
+    const Tree = TypeBox.Recursive(
+      (This) => TypeBox.Object({ children: TypeBox.Array(This) }),
+      { $id: "Node" },
+    );
+    const List = TypeBox.Object({ value: TypeBox.Number() }, { $id: "Node" });
+    const generator = new MockGenerator({ seed: 5, references: [List] });
+
+    assert.ok(Value.Check(Tree, generator.generate(Tree)));
+    assert.ok(Value.Check(List, generator.generate(TypeBox.Ref("Node"))));
+  });
+
+  it("only generates the values of the registered formats", () => {
+    FormatRegistry.Set("email", (value) => value.includes("@"));
+
+    assert.match(mock(TypeBox.String({ format: "email" })), /^[a-z]+@[a-z]+\.com$/);
+  });
+
+  it("throws a MockGenerationError for the schemas TypeBox can't compile", () => {
+    assert.throws(() => mock(TypeBox.Unsafe({ type: "string" })), MockGenerationError);
+  });
+});
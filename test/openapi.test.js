@@ -0,0 +1,150 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { Type } from "@sinclair/typebox";
+
+import { OpenApiBuilder, OpenApiError } from "../lib/openapi.js";
+import { SchemaRegistry } from "../lib/registry.js";
+
+const INFO = { title: "Users", version: "1.0.0" };
+
+const User = Type.Object(
+  { id: Type.String(), name: Type.String() },
+  { $id: "User", description: "A user." },
+);
+
+/**
+ * Builds the given builder and returns the issues of the error it throws.
+ *
+ * @param {OpenApiBuilder} builder - The builder to build.
+ * @returns {string[]}
+ */
+function getIssues(builder) {
+  try {
+    builder.build();
+  } catch (error) {
+    if (error instanceof OpenApiError) {
+      return error.issues;
+    }
+
+    throw error;
+  }
+
+  assert.fail("The document was built without issues.");
+}
+
+describe("OpenApiBuilder", () => {
+  it("hoists the schemas with an $id into the components", () => {
+    const document = new OpenApiBuilder(INFO)
+      .get("/users/{id}", {
+        params: Type.Object({ id: Type.String() }),
+        responses: { 200: User },
+      })
+      .post("/users", { body: User, responses: { 201: User } })
+      .build();
+
+    assert.deepEqual(document.components, {
+      schemas: {
+        User: {
+          description: "A user.",
+          type: "object",
+          properties: { id: { type: "string" }, name: { type: "string" } },
+          required: ["id", "name"],
+        },
+      },
+    });
+    assert.deepEqual(document.paths["/users/{id}"].get, {
+      parameters: [
+        { name: "id", in: "path", required: true, schema: { type: "string" } },
+      ],
+      responses: {
+        200: {
+          description: "A user.",
+          content: {
+            "application/json": { schema: { $ref: "#/components/schemas/User" } },
+          },
+        },
+      },
+    });
+  });
+
+  it("points the references to the components of the referenced schemas", () => {
+    const document = new OpenApiBuilder(INFO)
+      .schema(User)
+      .get("/users", { responses: { 200: Type.Array(Type.Ref(User)) } })
+      .build();
+
+    assert.deepEqual(document.paths["/users"].get, {
+      responses: {
+        200: {
+          description: "OK",
+          content: {
+            "application/json": {
+              schema: { type: "array", items: { $ref: "#/components/schemas/User" } },
+            },
+          },
+        },
+      },
+    });
+  });
+
+  it("adds the referenced schemas found in the registry", () => {
+    const registry = new SchemaRegistry();
+
+    registry.register(User);
+
+    const document = new OpenApiBuilder(INFO, { registry })
+      .get("/users", { responses: { 200: Type.Array(registry.ref("User")) } })
+      .build();
+
+    assert.deepEqual(Object.keys(document.components?.schemas ?? {}), ["User"]);
+  });
+
+  it("reports the references to schemas that aren't components", () => {
+    const builder = new OpenApiBuilder(INFO).get("/users", {
+      responses: { 200: Type.Ref("User") },
+    });
+
+    assert.deepEqual(getIssues(builder), [
+      "GET /users 200: The referenced schema User is not a component.",
+    ]);
+  });
+
+  it("reports the different schemas using the same $id", () => {
+    const builder = new OpenApiBuilder(INFO)
+      .get("/users", { responses: { 200: User } })
+      .post("/users", { body: Type.String({ $id: "User" }), responses: { 204: {} } });
+
+    assert.deepEqual(getIssues(builder), [
+      "POST /users body: Different schemas use the same $id, User.",
+    ]);
+  });
+
+  it("reports the schemas that can't be represented in JSON Schema", () => {
+    const builder = new OpenApiBuilder(INFO).get("/users", {
+      responses: { 200: Type.Object({ at: Type.Date() }) },
+    });
+
+    assert.deepEqual(getIssues(builder), [
+      "GET /users 200 at /properties/at: Schemas of kind Date have no JSON Schema equivalent.",
+    ]);
+  });
+
+  it("reports the path parameters without a schema", () => {
+    const builder = new OpenApiBuilder(INFO).get("/users/{id}", {
+      params: Type.Object({ name: Type.String() }),
+      responses: { 204: {} },
+    });
+
+    assert.deepEqual(getIssues(builder), [
+      "GET /users/{id}: The path parameter id has no schema.",
+      "GET /users/{id}: name is not a parameter of the path.",
+    ]);
+  });
+
+  it("rejects the routes declared twice", () => {
+    const builder = new OpenApiBuilder(INFO).get("/users", { responses: {} });
+
+    assert.throws(() => builder.get("/users", { responses: {} }), OpenApiError);
+  });
+});
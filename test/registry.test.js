@@ -0,0 +1,125 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { Type } from "@sinclair/typebox";
+
+import {
+  SchemaRegistry,
+  SchemaRegistryError,
+  getDefinitionRef,
+} from "../lib/registry.js";
+
+/**
+ * Collects the `$id` of every schema in the given JSON value.
+ *
+ * @param {unknown} value - The value to search.
+ * @returns {string[]}
+ */
+function collectIds(value) {
+  if (typeof value !== "object" || value === null) {
+    return [];
+  }
+
+  const nested = Object.values(value).flatMap(collectIds);
+
+  return "$id" in value && typeof value.$id === "string"
+    ? [value.$id, ...nested]
+    : nested;
+}
+
+describe("SchemaRegistry", () => {
+  it("rejects schemas without an $id or with a registered one", () => {
+    const registry = new SchemaRegistry();
+
+    registry.register(Type.String({ $id: "Name" }));
+
+    assert.throws(() => registry.register(Type.String()), SchemaRegistryError);
+    assert.throws(() => registry.register(Type.Number({ $id: "Name" })), {
+      name: "SchemaRegistryError",
+      id: "Name",
+    });
+  });
+
+  it("validates the references to registered schemas", () => {
+    const registry = new SchemaRegistry();
+    const Address = registry.register(
+      Type.Object({ city: Type.String() }, { $id: "Address" }),
+    );
+    const Person = Type.Object({ address: registry.ref(Address) });
+
+    assert.equal(registry.validate(Person, { address: { city: "a" } }).success, true);
+    assert.equal(registry.validate(Person, { address: {} }).success, false);
+  });
+
+  it("validates with the schemas registered after a first validation", () => {
+    const registry = new SchemaRegistry();
+    const Person = Type.Object({ name: Type.Ref("Name") });
+
+    registry.register(Type.Object({}, { $id: "Empty" }));
+    registry.validate(Type.String(), "a");
+    registry.register(Type.String({ $id: "Name" }));
+
+    assert.equal(registry.validate(Person, { name: "a" }).success, true);
+  });
+});
+
+describe("SchemaRegistry.bundle", () => {
+  it("points the references to the definitions of the bundle", () => {
+    const registry = new SchemaRegistry();
+    const Address = registry.register(
+      Type.Object({ city: Type.String() }, { $id: "Address" }),
+    );
+
+    registry.register(Type.Object({ address: Type.Ref(Address) }, { $id: "Person" }));
+
+    const bundle = registry.bundle({ id: "bundle" });
+
+    assert.equal(bundle.$id, "bundle");
+    assert.deepEqual(Object.keys(bundle.$defs), ["Address", "Person"]);
+    assert.deepEqual(bundle.$defs.Person, {
+      type: "object",
+      properties: { address: { $ref: getDefinitionRef("Address") } },
+      required: ["address"],
+    });
+  });
+
+  it("replaces the registered schemas embedded in other definitions", () => {
+    const registry = new SchemaRegistry();
+    const Address = registry.register(
+      Type.Object({ city: Type.String() }, { $id: "Address" }),
+    );
+
+    registry.register(
+      Type.Object({ home: Address, work: Type.Optional(Address) }, { $id: "Person" }),
+    );
+
+    const bundle = registry.bundle();
+
+    assert.deepEqual(collectIds(bundle.$defs), []);
+    assert.deepEqual(bundle.$defs.Person, {
+      type: "object",
+      properties: {
+        home: { $ref: getDefinitionRef("Address") },
+        work: { $ref: getDefinitionRef("Address") },
+      },
+      required: ["home"],
+    });
+  });
+
+  it("keeps the $id of the embedded schemas that aren't registered", () => {
+    const registry = new SchemaRegistry();
+
+    registry.register(
+      Type.Object(
+        { tag: Type.Object({ name: Type.String() }, { $id: "Tag" }) },
+        { $id: "Post" },
+      ),
+    );
+
+    assert.deepEqual(collectIds(registry.bundle().$defs), ["Tag"]);
+  });
+
+  it("escapes the $id of the definitions in their references", () => {
+    assert.equal(getDefinitionRef("a/b~c d"), "#/$defs/a~1b~0c%20d");
+  });
+});
@@ -0,0 +1,92 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { Type } from "@sinclair/typebox";
+
+import {
+  SchemaValidationError,
+  getValidator,
+  parse,
+  validate,
+} from "../lib/validation.js";
+
+describe("validate", () => {
+  it("returns the value when it matches the schema", () => {
+    assert.deepEqual(validate(Type.String(), "a"), { success: true, value: "a" });
+  });
+
+  it("returns the issues when the value doesn't match the schema", () => {
+    const result = validate(Type.Object({ a: Type.String() }), { a: 1 });
+
+    assert.equal(result.success, false);
+    assert.deepEqual(!result.success && result.issues.map((issue) => issue.path), ["/a"]);
+  });
+
+  it("doesn't reuse the validator of another schema with the same $id", () => {
+    assert.equal(validate(Type.String({ $id: "S" }), "a").success, true);
+    assert.equal(validate(Type.Number({ $id: "S" }), "a").success, false);
+  });
+
+  it("resolves the references given as a new array on every call", () => {
+    const Address = Type.Object({ city: Type.String() }, { $id: "Address" });
+    const Person = Type.Object({ address: Type.Ref(Address) });
+
+    assert.equal(validate(Person, { address: { city: "a" } }, [Address]).success, true);
+    assert.equal(validate(Person, { address: { city: 1 } }, [Address]).success, false);
+  });
+
+  it("doesn't reuse validators compiled with other references with the same $id", () => {
+    const Person = Type.Object({ address: Type.Ref("Address") });
+    const value = { address: { city: "a" } };
+
+    assert.equal(
+      validate(Person, value, [Type.Object({ city: Type.String() }, { $id: "Address" })])
+        .success,
+      true,
+    );
+    assert.equal(
+      validate(Person, value, [Type.Object({ city: Type.Number() }, { $id: "Address" })])
+        .success,
+      false,
+    );
+  });
+});
+
+describe("getValidator", () => {
+  it("reuses the validator of the same schema", () => {
+    const schema = Type.String();
+
+    assert.equal(getValidator(schema), getValidator(schema));
+  });
+
+  it("reuses the validator of a deep-equal schema with the same $id", () => {
+    assert.equal(
+      getValidator(Type.Boolean({ $id: "Flag" })),
+      getValidator(Type.Boolean({ $id: "Flag" })),
+    );
+  });
+
+  it("reuses the validator of equal references given as different arrays", () => {
+    const Address = Type.Object({ city: Type.String() }, { $id: "Address" });
+    const Person = Type.Object({ address: Type.Ref(Address) });
+
+    assert.equal(getValidator(Person, [Address]), getValidator(Person, [Address]));
+  });
+});
+
+describe("parse", () => {
+  it("applies the defaults without modifying the given value", () => {
+    const schema = Type.Object({ a: Type.String({ default: "b" }) });
+    const value = {};
+
+    assert.deepEqual(parse(schema, value), { a: "b" });
+    assert.deepEqual(value, {});
+  });
+
+  it("throws a SchemaValidationError when the value doesn't match", () => {
+    assert.throws(
+      () => parse(Type.Number({ $id: "Count" }), "a"),
+      (error) => error instanceof SchemaValidationError && error.issues.length > 0,
+    );
+  });
+});